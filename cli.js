@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const RoonLidarrIntegration = require('./index');
+const { ALBUM_STATES, DOWNLOAD_STATUSES } = require('./lib/server');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  scan [--quick] [--timeout <s>]  Pair with Roon and run a full scan (or a quick check)
+  retry                           Run the retry pass now
+  downloads [--check] [--state <status>]
+                                  List what became of the albums sent to Lidarr; --check
+                                  asks Lidarr first and searches again for missing ones
+  list [--state <state>]          List cached albums; --state also accepts "pending"
+  show <album>                    Show one cached album
+  forget <album>                  Remove an album so the next scan treats it as new
+  push <album>                    Look up an album and send it to Lidarr now
+  lookup <artist> <title>         Look up an album on MusicBrainz without touching the cache
+  review                          List albums without a confident MusicBrainz match, with candidates
+  pin <album> <release-group-id> [<artist-id>]
+                                  Use these MusicBrainz IDs for the album instead of looking it up
+  ignore <album>                  Never send the album to Lidarr
+  unpin <album>                   Remove a pin or ignore
+  undo <album> [--remove]         Revert the Lidarr changes made for an album and ignore it;
+                                  --remove deletes artists and albums it added (keeping files)
+  notify-test                     Send a test message to every configured notifier
+  reset-seed --yes                Empty the cache so the next scan seeds it from the library again
+
+<album> is a cache key, or text matched against "artist - title".
+Stop the service before running commands that change the cache.`;
+
+// Integration logs go to stderr so command output can be piped
+const print = (line = '') => process.stdout.write(`${line}\n`);
+console.log = console.error;
+
+class UsageError extends Error {}
+
+const COMMANDS = {
+    async scan(integration, args, options) {
+        await waitForCore(integration, (parseInt(options.timeout) || 120) * 1000);
+        if (!await integration.checkForNewAlbums({ full: !options.quick })) {
+            throw new Error(integration.statusMessage);
+        }
+        print(integration.statusMessage);
+    },
+
+    async retry(integration) {
+        if (!await integration.runRetries()) {
+            throw new Error(integration.statusMessage);
+        }
+        print(integration.statusMessage);
+    },
+
+    async downloads(integration, args, options) {
+        const filter = options.state;
+        if (filter && !DOWNLOAD_STATUSES.includes(filter)) {
+            throw new UsageError(`Unknown download status "${filter}" (expected ${DOWNLOAD_STATUSES.join(', ')})`);
+        }
+        if (options.check && !await integration.checkDownloads()) {
+            throw new Error(integration.statusMessage);
+        }
+
+        const albums = integration.listDownloads(filter || null);
+        for (const album of albums) {
+            const { status, searches, error } = album.download;
+            const detail = error ? `  (${error})` : '';
+            print(`${album.key}  ${status.padEnd(10)}  ${String(searches).padStart(2)} searches  ${album.artist} - ${album.title}${detail}`);
+        }
+        print(`${albums.length} albums`);
+    },
+
+    async list(integration, args, options) {
+        const filter = options.state;
+        if (filter && filter !== 'pending' && !ALBUM_STATES.includes(filter)) {
+            throw new UsageError(`Unknown state "${filter}" (expected pending, ${ALBUM_STATES.join(', ')})`);
+        }
+
+        const albums = integration.listAlbums()
+            .filter(album => !filter || album.state === filter || album.state.startsWith(`${filter}_`));
+        for (const album of albums) {
+            print(`${album.key}  ${album.state.padEnd(19)}  ${album.artist} - ${album.title}`);
+        }
+        print(`${albums.length} albums`);
+    },
+
+    async show(integration, args) {
+        const key = findAlbum(integration, args);
+        const entry = integration.albumCache.get(key);
+        print(JSON.stringify({ key, state: integration.getAlbumState(entry), ...entry }, null, 2));
+    },
+
+    async forget(integration, args) {
+        const key = findAlbum(integration, args);
+        const { artist, title } = integration.albumCache.get(key);
+        await integration.forgetAlbum(key);
+        print(`Forgot ${key} (${artist} - ${title})`);
+    },
+
+    async push(integration, args) {
+        if (!integration.canProcess()) {
+            throw new Error(integration.statusMessage);
+        }
+
+        const key = findAlbum(integration, args);
+        const entry = await integration.queueAlbumRetry(key);
+        const state = integration.getAlbumState(entry);
+        print(`${key}  ${state}  ${entry.artist} - ${entry.title}`);
+        if (state !== 'done') {
+            // Ignored and skipped albums end without a failure of their own
+            const attempt = entry.failureClass ? entry.attempts?.at(-1) : null;
+            throw new Error(attempt ? `${attempt.failureClass}: ${attempt.error}` : `Not sent to Lidarr: ${state}`);
+        }
+    },
+
+    async lookup(integration, args) {
+        if (args.length !== 2) {
+            throw new UsageError('lookup takes an artist and a title');
+        }
+
+        const [artist, title] = args;
+        const { candidates, strategies } = await integration.searchMusicBrainz(title, artist);
+        for (const { strategy, candidates: found, bestConfidence } of strategies) {
+            const best = bestConfidence === null ? '' : `, best ${Math.round(bestConfidence * 100)}%`;
+            console.error(`  ${strategy}: ${found} release groups${best}`);
+        }
+        if (candidates.length === 0) {
+            throw new Error(`No MusicBrainz match for "${title}" by ${artist}`);
+        }
+        printCandidates(candidates);
+    },
+
+    async review(integration) {
+        const queue = integration.listReviewQueue();
+        for (const album of queue) {
+            print(`${album.key}  ${album.failureClass}  ${album.artist} - ${album.title}`);
+            printCandidates(album.candidates, '    ');
+        }
+        print(`${queue.length} albums to review`);
+    },
+
+    async pin(integration, args) {
+        if (args.length < 2 || args.length > 3) {
+            throw new UsageError('pin takes an album, a release group MBID and optionally an artist MBID');
+        }
+
+        const [album, releaseGroupId, artistId = null] = args;
+        const key = findAlbum(integration, [album]);
+        const entry = await integration.setAlbumOverride(key, { releaseGroupId, artistId });
+        print(`Pinned ${key} (${entry.artist} - ${entry.title}) to "${entry.override.title}" by ${entry.override.artistName}`);
+    },
+
+    async ignore(integration, args) {
+        const key = findAlbum(integration, args);
+        const entry = await integration.setAlbumOverride(key, { ignore: true });
+        print(`Ignoring ${key} (${entry.artist} - ${entry.title})`);
+    },
+
+    async unpin(integration, args) {
+        const key = findAlbum(integration, args);
+        const entry = await integration.clearAlbumOverride(key);
+        print(`Cleared override for ${key} (${entry.artist} - ${entry.title})`);
+    },
+
+    async undo(integration, args, options) {
+        if (!integration.canProcess()) {
+            throw new Error(integration.statusMessage);
+        }
+
+        const key = findAlbum(integration, args);
+        const changes = integration.albumCache.get(key).lidarrChanges || [];
+        if (changes.length === 0) {
+            throw new Error(`No Lidarr changes recorded for ${key}`);
+        }
+
+        const entry = await integration.queueLidarrUndo(key, { remove: !!options.remove });
+        for (const change of changes) {
+            print(`  undone: ${change.action} ${change.artistName || change.albumId || change.artistId}`);
+        }
+        print(`${key}  ${integration.getAlbumState(entry)}  ${entry.artist} - ${entry.title}`);
+    },
+
+    async 'notify-test'(integration) {
+        const count = integration.notifiers.notifiers.length;
+        if (count === 0) {
+            throw new Error(`No notifiers configured in ${integration.notifiersFile}`);
+        }
+
+        const sent = await integration.notify({
+            event: 'test',
+            title: 'roon2lidarr: test notification',
+            text: 'Notifications from roon2lidarr are set up.',
+            data: {}
+        });
+        print(`Sent to ${sent} of ${count} notifiers`);
+        if (sent < count) {
+            throw new Error(`${count - sent} notifiers failed`);
+        }
+    },
+
+    async 'reset-seed'(integration, args, options) {
+        if (!options.yes) {
+            throw new UsageError(`reset-seed removes all ${integration.albumCache.size} cached albums - pass --yes to confirm`);
+        }
+
+        integration.albumCache.clear();
+        integration.lastFullScan = null;
+        integration.libraryAlbumCount = null;
+        integration.libraryFingerprint = null;
+        integration.scanCheckpoint = null;
+        await integration.saveCache();
+        print('Cache emptied - the next scan will seed it from the current library');
+    }
+};
+
+function printCandidates(candidates, indent = '') {
+    if (candidates.length === 0) {
+        print(`${indent}(no candidates)`);
+    }
+    for (const candidate of candidates) {
+        const year = candidate.date ? ` (${candidate.date.slice(0, 4)})` : '';
+        const type = [candidate.primaryType, ...candidate.secondaryTypes].filter(Boolean).join(' + ');
+        const confidence = `${Math.round(candidate.confidence * 100)}%`.padStart(4);
+        print(`${indent}${confidence}  ${candidate.releaseGroupId}  ${candidate.artistName} - ${candidate.title}${year} [${type || 'unknown type'}]${candidate.strategy ? ` via ${candidate.strategy}` : ''}`);
+    }
+}
+
+// Resolve an <album> argument to exactly one cache key
+function findAlbum(integration, args) {
+    const query = args.join(' ');
+    if (!query) {
+        throw new UsageError('Missing <album>');
+    }
+    if (integration.albumCache.has(query)) {
+        return query;
+    }
+
+    const needle = query.toLowerCase();
+    const matches = integration.listAlbums()
+        .filter(album => `${album.artist} - ${album.title}`.toLowerCase().includes(needle));
+
+    if (matches.length === 0) {
+        throw new Error(`No cached album matches "${query}"`);
+    }
+    if (matches.length > 1) {
+        const list = matches.slice(0, 20).map(album => `  ${album.key}  ${album.artist} - ${album.title}`);
+        throw new Error(`"${query}" matches ${matches.length} albums, use a key:\n${list.join('\n')}`);
+    }
+    return matches[0].key;
+}
+
+async function waitForCore(integration, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (!integration.core) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for a Roon Core - is the extension enabled in Roon?');
+        }
+        await integration.delay(500);
+    }
+}
+
+async function main(argv) {
+    const { positionals, values: options } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            state: { type: 'string' },
+            quick: { type: 'boolean' },
+            timeout: { type: 'string' },
+            yes: { type: 'boolean' },
+            remove: { type: 'boolean' },
+            check: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        print(USAGE);
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const integration = new RoonLidarrIntegration({ schedule: false, connectRoon: command === 'scan' });
+    try {
+        await integration.cacheReady;
+        if (integration.cacheLoadError) {
+            throw new Error(`Album cache unreadable: ${integration.cacheLoadError.message}`);
+        }
+        await COMMANDS[command](integration, args, options);
+    } finally {
+        if (integration.roon && command === 'scan') integration.roon.stop_discovery();
+        await integration.storage.close();
+    }
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    (code) => process.exit(code),
+    (error) => {
+        console.error(`Error: ${error.message}`);
+        if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+            console.error(`\n${USAGE}`);
+            process.exit(2);
+        }
+        process.exit(1);
+    }
+);
@@ -1,79 +1,225 @@
 const RoonApi = require('node-roon-api');
 const RoonApiBrowse = require('node-roon-api-browse');
-const https = require('https');
-const http = require('http');
-const fs = require('fs').promises;
+const RoonApiSettings = require('node-roon-api-settings');
+const RoonApiStatus = require('node-roon-api-status');
 const path = require('path');
+const { startServer } = require('./lib/server');
+const { DEFAULT_SETTINGS, normalizeSettings, makeLayout } = require('./lib/settings');
+const { CACHE_VERSION, albumKey, libraryFingerprint, createIdentity, createAlbumEntry, migrateCache } = require('./lib/album-cache');
+const { createStorage } = require('./lib/storage');
+const { ProcessingError, recordAttempt, isRetryDue } = require('./lib/retry-policy');
+const { Scheduler } = require('./lib/scheduler');
+const { DryRunReport } = require('./lib/dry-run');
+const { MusicBrainzClient } = require('./lib/musicbrainz');
+const { LidarrClient, LidarrValidationError, LidarrNotFoundError, LidarrUnavailableError } = require('./lib/lidarr');
+const { AddPolicies, artistAddOptions } = require('./lib/add-policy');
+const { Notifiers, Digest } = require('./lib/notifiers');
+const { createMetrics, endpointLabel } = require('./lib/metrics');
+const { rankReleases, classifyConfidence, leadCredit, isVariousArtists, VARIOUS_ARTISTS_MBID } = require('./lib/matching');
+const { LOOKUP_STRATEGIES } = require('./lib/lookup');
+const { isTracked, startTracking, observe, applyEvent, recordSearch } = require('./lib/download-tracker');
+
+const REVIEW_CANDIDATES = 5;
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Refreshing a large artist can take Lidarr several minutes
+const COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+const COMMAND_POLL_MS = 2000;
+const COMMAND_FINISHED = ['completed', 'failed', 'aborted', 'cancelled', 'orphaned'];
 
 class RoonLidarrIntegration {
-    constructor() {
+    // The service runs with the defaults. The CLI turns off the scheduler and, for
+    // commands that don't browse Roon, the Roon connection.
+    constructor({ schedule = true, connectRoon = true } = {}) {
         this.albumCache = new Map();
         this.roon = null;
         this.core = null;
         this.cacheFile = path.join(__dirname, 'album_cache.json');
-        this.lastCacheDate = null;
-        
-        // Lidarr configuration
-        this.lidarrConfig = {
-            baseUrl: process.env.LIDARR_URL || 'http://synology.local:8686',
-            apiKey: process.env.LIDARR_API_KEY,
-            rootFolderPath: process.env.LIDARR_ROOT_FOLDER || '/data/media/music',
-            qualityProfileId: parseInt(process.env.LIDARR_QUALITY_PROFILE) || 1,
-            metadataProfileId: parseInt(process.env.LIDARR_METADATA_PROFILE) || 1
-        };
+
+        // Dry run: scan and resolve as usual, but report Lidarr changes instead of making them
+        // and never write the cache
+        this.dryRun = ['1', 'true', 'yes'].includes(String(process.env.DRY_RUN).toLowerCase());
+        this.dryRunReport = this.dryRun
+            ? new DryRunReport(process.env.DRY_RUN_REPORT || path.join(__dirname, 'dry-run-report.json'))
+            : null;
+        this.addPoliciesFile = process.env.ADD_POLICIES_FILE || path.join(__dirname, 'add-policies.json');
+        this.addPolicies = new AddPolicies();
+        this.addPoliciesError = null;
+        this.notifiersFile = process.env.NOTIFIERS_FILE || path.join(__dirname, 'notifiers.json');
+        this.notifiers = new Notifiers();
+        // Password Lidarr's webhook connection must send; the API token when unset
+        this.webhookPassword = process.env.WEBHOOK_PASSWORD || '';
+        // Token the API requires for changes (see lib/server.js), and origins allowed to call it cross-origin
+        this.apiToken = process.env.API_TOKEN || '';
+        this.corsOrigins = (process.env.CORS_ORIGIN || '').split(',').map(origin => origin.trim()).filter(Boolean);
+        this.cacheBackend = process.env.CACHE_BACKEND || 'json';
+        this.storage = createStorage({
+            backend: this.cacheBackend,
+            file: process.env.CACHE_FILE || (this.cacheBackend === 'sqlite'
+                ? path.join(__dirname, 'album_cache.db')
+                : this.cacheFile),
+            jsonFile: this.cacheFile,
+            backups: parseInt(process.env.CACHE_BACKUPS) || 3,
+            readOnly: this.dryRun
+        });
+        this.cacheLoadError = null;
+        this.lastFullScan = null;
+        this.libraryAlbumCount = null;
+        this.libraryFingerprint = null;
+        this.scanCheckpoint = null;
+        this.schedulerRuns = {};
+        this.recentListTitles = (process.env.ROON_RECENT_LIST || 'Recently Added,Date Added')
+            .split(',').map(title => title.trim()).filter(Boolean);
+        // Without a date-sorted list, have quick checks read the whole Albums list
+        // when the count is unchanged, rather than leave that to the full scan
+        this.quickCheckFingerprint = ['1', 'true', 'yes'].includes(String(process.env.QUICK_CHECK_FINGERPRINT).toLowerCase());
+        this.lastScanNewCount = 0;
+        this.scanInProgress = false;
+        this.scheduler = new Scheduler({
+            onRun: (lastRuns) => this.storage.saveMeta({ schedulerRuns: lastRuns })
+        });
+        this.musicBrainz = new MusicBrainzClient({
+            baseUrl: process.env.MUSICBRAINZ_URL || 'https://musicbrainz.org',
+            userAgent: `roon2lidarr/1.0.0 ( ${process.env.MUSICBRAINZ_CONTACT || 'https://github.com/jtatknox/roon2lidarr'} )`,
+            rate: parseFloat(process.env.MUSICBRAINZ_RATE_LIMIT) || 1,
+            cacheDir: process.env.MUSICBRAINZ_CACHE_DIR || path.join(__dirname, 'musicbrainz_cache'),
+            cacheTtlHours: Number(process.env.MUSICBRAINZ_CACHE_TTL_HOURS ?? 24) || 0
+        });
+        this.metrics = createMetrics(this);
+        this.svcStatus = null;
+        this.statusMessage = 'Starting';
+        this.statusIsError = false;
         
-        if (!this.lidarrConfig.apiKey) {
-            console.error('LIDARR_API_KEY environment variable is required');
-            process.exit(1);
-        }
+        // Lidarr configuration - env defaults until Roon settings are loaded
+        this.settings = null;
+        this.lidarrConfig = null;
+        this.lidarr = null;
+        this.lidarrAvailable = null;
+        // Failed connection checks in a row, for the unreachable alert
+        this.lidarrFailedChecks = 0;
+        this.retryDelayDays = null;
+        this.matchThresholds = null;
+        this.applySettings(DEFAULT_SETTINGS);
+
+        // Quick checks, full reconciliation scans, the retry pass and the download check
+        // each run on their own cron schedule
+        this.scheduler.addJob('full-scan', this.settings.fullScanSchedule, () => this.checkForNewAlbums({ full: true }));
+        this.scheduler.addJob('scan', this.settings.scanSchedule, () => this.checkForNewAlbums());
+        this.scheduler.addJob('retry', this.settings.retrySchedule, () => this.runRetries());
+        this.scheduler.addJob('downloads', this.settings.downloadSchedule, () => this.checkDownloads());
         
-        console.log(`Starting Roon-Lidarr Integration`);
-        console.log(`Lidarr: ${this.lidarrConfig.baseUrl}`);
-        console.log(`Root Folder: ${this.lidarrConfig.rootFolderPath}`);
+        console.log(`Starting Roon-Lidarr Integration${this.dryRun ? ' (dry run - Lidarr and the cache will not be modified)' : ''}`);
         
-        this.initializeCache();
-        this.initializeRoon();
+        // Scans wait on this so an early pairing can't mistake an unloaded cache for a first run
+        this.cacheReady = this.initializeCache({ schedule });
+        this.initializeRoon({ connect: connectRoon });
     }
 
     // Cache Management
-    async initializeCache() {
+    async initializeCache({ schedule = true } = {}) {
+        await this.loadAddPolicies();
+        await this.loadNotifiers();
         await this.loadCache();
+        if (schedule) {
+            this.scheduler.start(this.schedulerRuns);
+        }
+    }
+
+    async loadAddPolicies() {
+        try {
+            this.addPolicies = await AddPolicies.load(this.addPoliciesFile);
+            this.addPoliciesError = null;
+            if (this.addPolicies.rules.length > 0) {
+                console.log(`Loaded ${this.addPolicies.rules.length} add policy rules from ${this.addPoliciesFile}`);
+            }
+        } catch (error) {
+            console.error(error.message);
+            this.addPoliciesError = error;
+        }
+    }
+
+    // A broken notifiers file only costs the notifications, so it doesn't stop processing
+    async loadNotifiers() {
+        try {
+            this.notifiers = await Notifiers.load(this.notifiersFile);
+            if (this.notifiers.notifiers.length > 0) {
+                console.log(`Loaded ${this.notifiers.notifiers.length} notifiers from ${this.notifiersFile}`);
+            }
+        } catch (error) {
+            console.error(`${error.message} - notifications are off`);
+            this.notifiers = new Notifiers();
+        }
     }
 
     async loadCache() {
         try {
-            const cacheData = await fs.readFile(this.cacheFile, 'utf8');
-            const cache = JSON.parse(cacheData);
+            const cacheData = await this.storage.load();
+            if (!cacheData) {
+                console.log('No existing cache found, starting fresh');
+                this.albumCache = new Map();
+                this.lastFullScan = null;
+                return;
+            }
+
+            const cache = migrateCache(cacheData);
             
-            this.albumCache = new Map(cache.albums || []);
-            this.lastCacheDate = cache.lastCacheDate;
+            this.albumCache = cache.albums;
+            // Older caches only recorded the calendar day of the last scan
+            this.lastFullScan = cacheData.lastFullScan ||
+                (cache.lastCacheDate ? new Date(cache.lastCacheDate).toISOString() : null);
+            this.libraryAlbumCount = cacheData.libraryAlbumCount ?? null;
+            this.libraryFingerprint = cacheData.libraryFingerprint ?? null;
+            this.scanCheckpoint = cacheData.scanCheckpoint || null;
+            this.schedulerRuns = cacheData.schedulerRuns || {};
             
             console.log(`Loaded cache with ${this.albumCache.size} albums`);
-            console.log(`Last scan: ${this.lastCacheDate || 'Never'}`);
+            console.log(`Last full scan: ${this.lastFullScan || 'Never'}`);
+
+            if (cache.migrated) {
+                console.log(`Migrated cache to version ${CACHE_VERSION}`);
+                await this.saveCache();
+            }
             
         } catch (error) {
-            console.log('No existing cache file found, starting fresh');
-            this.albumCache = new Map();
-            this.lastCacheDate = null;
+            // Never fall back to an empty cache here - the next scan would re-seed the whole library
+            console.error(`Could not load cache: ${error.message}`);
+            console.error('Scans are disabled until the cache is repaired or removed');
+            this.cacheLoadError = error;
         }
     }
 
+    // Full snapshot - used once a scan has finished and after migrations
     async saveCache() {
         try {
-            const cacheData = {
+            await this.storage.saveAll({
+                version: CACHE_VERSION,
                 albums: Array.from(this.albumCache.entries()),
-                lastCacheDate: this.lastCacheDate
-            };
-            
-            await fs.writeFile(this.cacheFile, JSON.stringify(cacheData, null, 2));
+                lastFullScan: this.lastFullScan,
+                libraryAlbumCount: this.libraryAlbumCount,
+                libraryFingerprint: this.libraryFingerprint,
+                scanCheckpoint: this.scanCheckpoint,
+                schedulerRuns: this.scheduler.lastRuns
+            });
             console.log(`Cache saved (${this.albumCache.size} albums)`);
         } catch (error) {
             console.error('Error saving cache:', error);
         }
     }
 
+    // Persist a single album right after it was processed
+    // Albums forgotten while a scan or pass was still working on them stay forgotten
+    async saveAlbum(key) {
+        const entry = this.albumCache.get(key);
+        if (!entry) return;
+
+        try {
+            await this.storage.saveAlbum(key, entry);
+        } catch (error) {
+            console.error(`Error saving album ${key}:`, error);
+        }
+    }
+
     // Roon Integration
-    initializeRoon() {
+    initializeRoon({ connect = true } = {}) {
         this.roon = new RoonApi({
             extension_id: 'com.roon.lidarr.integration',
             display_name: 'Roon-Lidarr Integration',
@@ -85,53 +231,144 @@ class RoonLidarrIntegration {
             core_paired: (core) => {
                 console.log(`Paired with Roon Core: ${core.display_name}`);
                 this.core = core;
-                this.checkForNewAlbums();
-                
-                // Check every hour
-                setInterval(() => {
-                    this.checkForNewAlbums();
-                }, 60 * 60 * 1000);
+                // Run whatever was missed while no core was paired
+                this.scheduler.catchUp();
             },
 
             core_unpaired: (core) => {
                 console.log(`Unpaired from Roon Core: ${core.display_name}`);
                 this.core = null;
+                this.setStatus('Waiting for Roon Core');
+            }
+        });
+
+        // Settings saved from Roon override the environment defaults
+        this.applySettings(normalizeSettings(this.roon.load_config('settings') || {}));
+
+        if (!connect) return;
+
+        this.svcSettings = new RoonApiSettings(this.roon, {
+            get_settings: async (cb) => {
+                cb(await this.buildSettingsLayout(this.settings));
+            },
+            save_settings: async (req, isdryrun, settings) => {
+                const layout = await this.buildSettingsLayout(normalizeSettings(settings.values));
+                req.send_complete(layout.has_error ? 'NotValid' : 'Success', { settings: layout });
+
+                if (!isdryrun && !layout.has_error) {
+                    this.roon.save_config('settings', layout.values);
+                    this.applySettings(layout.values);
+                    this.svcSettings.update_settings(layout);
+                }
             }
         });
 
+        this.svcStatus = new RoonApiStatus(this.roon);
+
         this.roon.init_services({
-            required_services: [RoonApiBrowse]
+            required_services: [RoonApiBrowse],
+            provided_services: [this.svcSettings, this.svcStatus]
         });
 
+        if (!this.isLidarrConfigured()) {
+            this.setStatus('Lidarr API key not set - open Settings to configure', true);
+        } else {
+            this.setStatus('Waiting for Roon Core');
+        }
+
         this.roon.start_discovery();
     }
 
-    isNewDay() {
-        const today = new Date().toDateString();
-        return !this.lastCacheDate || this.lastCacheDate !== today;
-    }
+    // Apply settings to the running integration without a restart
+    applySettings(settings) {
+        const wasConfigured = !!this.lidarrConfig && this.isLidarrConfigured();
+        this.settings = settings;
+        this.lidarrConfig = {
+            baseUrl: settings.lidarrUrl,
+            apiKey: settings.lidarrApiKey,
+            rootFolderPath: settings.rootFolderPath,
+            qualityProfileId: settings.qualityProfileId,
+            metadataProfileId: settings.metadataProfileId
+        };
+        this.lidarr = new LidarrClient({
+            baseUrl: settings.lidarrUrl,
+            apiKey: settings.lidarrApiKey,
+            onRequest: ({ method, endpoint, status }) =>
+                this.metrics.lidarrRequests.inc({ method, endpoint: endpointLabel(endpoint), status })
+        });
+        this.lidarrAvailable = null;
+        this.retryDelayDays = settings.retryDelayDays;
+        this.matchThresholds = {
+            accept: settings.matchAcceptConfidence / 100,
+            review: settings.matchReviewConfidence / 100
+        };
+        this.compilationMode = settings.compilationMode;
+        this.downloadTracking = {
+            researchHours: settings.researchHours,
+            stuckAfter: parseInt(process.env.DOWNLOAD_STUCK_AFTER) || 3
+        };
 
-    async checkForNewAlbums() {
-        if (!this.core) {
-            console.log('No Roon Core connected');
-            return;
+        console.log(`Lidarr: ${this.lidarrConfig.baseUrl}`);
+        console.log(`Root Folder: ${this.lidarrConfig.rootFolderPath}`);
+        if (!this.isLidarrConfigured()) {
+            console.log('Lidarr API key not set - configure it in Roon > Settings > Extensions');
         }
 
-        if (!this.isNewDay()) {
-            console.log('Already scanned today, skipping...');
-            return;
+        // Pick up changed schedules if we're already running
+        if (this.scheduler.jobs.size > 0) {
+            this.scheduler.setSchedule('full-scan', settings.fullScanSchedule);
+            this.scheduler.setSchedule('scan', settings.scanSchedule);
+            this.scheduler.setSchedule('retry', settings.retrySchedule);
+            this.scheduler.setSchedule('downloads', settings.downloadSchedule);
         }
 
-        console.log(`\n=== Scanning for new albums ===`);
-        
-        try {
-            await this.scanRoonLibrary();
-            this.lastCacheDate = new Date().toDateString();
-            console.log('Scan completed successfully');
-            
-        } catch (error) {
-            console.error('Scan failed:', error.message);
+        // First time configured - clear the settings error and run what was skipped without Lidarr
+        if (!wasConfigured && this.isLidarrConfigured()) {
+            this.setStatus(this.core ? 'Lidarr configured' : 'Waiting for Roon Core');
+            if (this.scheduler.started) {
+                this.scheduler.catchUp();
+            }
+        }
+    }
+
+    // Mirror progress to the extension's status line in Roon
+    setStatus(message, isError = false) {
+        if (this.dryRun) message = `[Dry run] ${message}`;
+        this.statusMessage = message;
+        this.statusIsError = isError;
+        if (this.svcStatus) {
+            this.svcStatus.set_status(message, isError);
+        }
+    }
+
+    isLidarrConfigured() {
+        return !!(this.lidarrConfig.baseUrl && this.lidarrConfig.apiKey);
+    }
+
+    // Validate settings against the live Lidarr API and fill the dropdowns from it
+    async buildSettingsLayout(values) {
+        const lidarr = {};
+
+        if (values.lidarrUrl && values.lidarrApiKey) {
+            const client = new LidarrClient({ baseUrl: values.lidarrUrl, apiKey: values.lidarrApiKey, retries: 1 });
+            try {
+                lidarr.status = await client.status();
+                [lidarr.rootFolders, lidarr.qualityProfiles, lidarr.metadataProfiles] = await Promise.all([
+                    client.get('/rootfolder'),
+                    client.get('/qualityprofile'),
+                    client.get('/metadataprofile')
+                ]);
+            } catch (error) {
+                lidarr.error = error.message;
+            }
         }
+
+        return makeLayout(values, lidarr);
+    }
+
+    // A quick check is only meaningful against a complete, up-to-date cache
+    needsFullScan() {
+        return !this.lastFullScan || this.albumCache.size === 0 || !!this.scanCheckpoint;
     }
 
     async scanRoonLibrary() {
@@ -139,28 +376,74 @@ class RoonLidarrIntegration {
         if (!this.core) {
             throw new Error('Roon Core not connected');
         }
-        
+
+        const maxResumes = 3;
+        const checkpoint = this.resumeScanCheckpoint();
+        let albumsResult = await this.openAlbumsList();
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.processAllAlbums(albumsResult, checkpoint);
+                break;
+            } catch (error) {
+                // Keep what we have so the next attempt - or the next run - continues from here
+                await this.saveScanCheckpoint(checkpoint);
+
+                const sessionExpired = error.message.includes('Invalid browse key') ||
+                    error.message.includes('request timeout');
+                if (!sessionExpired || attempt > maxResumes) {
+                    throw error;
+                }
+
+                console.log(`  Browse session expired at album ${checkpoint.offset}, re-navigating to resume...`);
+                albumsResult = await this.openAlbumsList();
+            }
+        }
+
+        await this.commitScan(checkpoint);
+    }
+
+    // Browse from the root to Library > Albums and return the album list
+    async openAlbumsList() {
+        return this.navigateToAlbums(await this.browseRoot());
+    }
+
+    // Library list of albums ordered newest first, or null if this Roon Core has none
+    async openRecentAlbumsList() {
+        return this.navigateToLibraryList(await this.browseRoot(), this.recentListTitles);
+    }
+
+    async browseRoot() {
+        if (!this.core) {
+            throw new Error('Roon Core disconnected during scan');
+        }
+
         return new Promise((resolve, reject) => {
             this.core.services.RoonApiBrowse.browse({
                 hierarchy: 'browse',
                 pop_all: true
-            }, async (err, result) => {
+            }, (err, result) => {
                 if (err) {
                     reject(err);
-                    return;
-                }
-
-                try {
-                    await this.navigateToAlbums(result);
-                    resolve();
-                } catch (error) {
-                    reject(error);
+                } else {
+                    resolve(result);
                 }
             });
         });
     }
 
     async navigateToAlbums(browseResult) {
+        const albumsResult = await this.navigateToLibraryList(browseResult, ['Albums']);
+        
+        if (!albumsResult) {
+            throw new Error('Albums section not found');
+        }
+
+        return albumsResult;
+    }
+
+    // Open the first Library entry whose title is one of `titles`
+    async navigateToLibraryList(browseResult, titles) {
         // Check core connection at each step
         if (!this.core) {
             throw new Error('Roon Core disconnected during scan');
@@ -196,15 +479,14 @@ class RoonLidarrIntegration {
             throw new Error('Unexpected library result structure');
         }
         
-        const albumsItem = libraryItems.find(item => item.title === 'Albums');
+        const listItem = libraryItems.find(item => titles.includes(item.title));
         
-        if (!albumsItem) {
-            throw new Error('Albums section not found');
+        if (!listItem) {
+            console.log(`No ${titles.join(' or ')} list in the Library (it has ${libraryItems.map(item => item.title).join(', ')})`);
+            return null;
         }
 
-        // Process all albums
-        const albumsResult = await this.browseItem(albumsItem.item_key);
-        await this.processAllAlbums(albumsResult);
+        return this.browseItem(listItem.item_key);
     }
 
     async browseItem(itemKey) {
@@ -268,58 +550,192 @@ class RoonLidarrIntegration {
         });
     }
 
-    async processAllAlbums(albumsResult) {
+    // Track count for an album, for matching. Looked up through Roon search in its
+    // own browse session so a running scan isn't disturbed. Best effort - resolves
+    // to null when there's no core or the album can't be found.
+    async loadAlbumDetails(album) {
+        if (!this.core) return null;
+
+        try {
+            const search = await this.browseDetails({ pop_all: true, input: album.title });
+            const categories = await this.loadDetailItems(search.list.level);
+            const albumsCategory = categories.find(item => item.title === 'Albums');
+            if (!albumsCategory) return null;
+
+            const albumsList = await this.browseDetails({ item_key: albumsCategory.item_key });
+            const albums = await this.loadDetailItems(albumsList.list.level);
+            const match = albums.find(item =>
+                item.title?.toLowerCase() === album.title.toLowerCase() &&
+                item.subtitle?.toLowerCase() === album.artist.toLowerCase());
+            if (!match) return null;
+
+            const albumPage = await this.browseDetails({ item_key: match.item_key });
+            const tracks = (await this.loadDetailItems(albumPage.list.level))
+                .filter(item => /^\d+\.\s/.test(item.title || ''));
+
+            return tracks.length > 0 ? { trackCount: tracks.length } : null;
+        } catch (error) {
+            console.log(`  Could not load album details from Roon: ${error.message}`);
+            return null;
+        }
+    }
+
+    browseDetails(options) {
+        return this.roonRequest('browse', { hierarchy: 'search', multi_session_key: 'album-details', ...options });
+    }
+
+    async loadDetailItems(level) {
+        const result = await this.roonRequest('load', {
+            hierarchy: 'search',
+            multi_session_key: 'album-details',
+            level,
+            offset: 0,
+            count: 100
+        });
+        return result.items || [];
+    }
+
+    roonRequest(method, options) {
+        if (!this.core) {
+            return Promise.reject(new Error('Roon Core disconnected'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error(`Roon ${method} request timeout`));
+            }, 30000);
+
+            this.core.services.RoonApiBrowse[method](options, (err, result) => {
+                clearTimeout(timeout);
+                if (err) {
+                    reject(new Error(String(err)));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    // Continue an interrupted scan if it is recent enough, otherwise start over
+    resumeScanCheckpoint() {
+        const maxAgeMs = 24 * 60 * 60 * 1000;
+        const checkpoint = this.scanCheckpoint;
+
+        if (checkpoint && Date.now() - new Date(checkpoint.startedAt) < maxAgeMs) {
+            console.log(`Resuming interrupted scan from album ${checkpoint.offset + 1} (started ${checkpoint.startedAt})`);
+            return checkpoint;
+        }
+
+        return {
+            startedAt: new Date().toISOString(),
+            offset: 0,
+            total: null,
+            albums: []
+        };
+    }
+
+    async saveScanCheckpoint(checkpoint) {
+        this.scanCheckpoint = checkpoint;
+        try {
+            await this.storage.saveMeta({ scanCheckpoint: checkpoint });
+        } catch (error) {
+            console.error('Error saving scan checkpoint:', error);
+        }
+    }
+
+    // Page through the album list from the checkpoint, recording every album seen.
+    // Nothing in the cache changes here - see commitScan.
+    async processAllAlbums(albumsResult, checkpoint) {
         if (albumsResult.action !== 'list') {
             throw new Error('Expected album list');
         }
 
         const totalAlbums = albumsResult.list.count;
         const level = albumsResult.list.level;
-        console.log(`Processing ${totalAlbums} albums...`);
-
-        const isFirstRun = this.albumCache.size === 0;
-        const newAlbums = [];
         const batchSize = 100;
+        const overlap = 20;
+
+        if (checkpoint.offset > 0) {
+            if (Math.abs(totalAlbums - checkpoint.total) > overlap) {
+                console.log(`Library changed by ${totalAlbums - checkpoint.total} albums since the scan started, restarting from the beginning`);
+                checkpoint.offset = 0;
+                checkpoint.albums = [];
+            } else {
+                // Re-read a few albums before the checkpoint in case the list shifted
+                checkpoint.offset = Math.max(0, checkpoint.offset - overlap);
+            }
+        }
+        checkpoint.total = totalAlbums;
+
+        console.log(`Processing ${totalAlbums} albums${checkpoint.offset > 0 ? ` from ${checkpoint.offset + 1}` : ''}...`);
         
-        for (let offset = 0; offset < totalAlbums; offset += batchSize) {
+        for (let offset = checkpoint.offset; offset < totalAlbums; offset += batchSize) {
             const remaining = Math.min(batchSize, totalAlbums - offset);
-            console.log(`Batch ${Math.floor(offset/batchSize) + 1}: ${offset + 1}-${offset + remaining} of ${totalAlbums}`);
+            const batch = Math.floor(offset/batchSize) + 1;
+            console.log(`Batch ${batch}: ${offset + 1}-${offset + remaining} of ${totalAlbums}`);
+            this.setStatus(`Scanning library: batch ${batch}/${Math.ceil(totalAlbums / batchSize)}`);
             
-            try {
-                const items = await this.loadBrowseItems(level, offset);
-                
-                for (const album of items) {
-                    const albumKey = `${album.subtitle || 'Unknown'}|${album.title}`;
-                    
-                    if (!this.albumCache.has(albumKey)) {
-                        if (isFirstRun) {
-                            this.albumCache.set(albumKey, {
-                                musicBrainzId: null,
-                                artistId: null,
-                                dateFound: new Date().toISOString(),
-                                initialCacheEntry: true
-                            });
-                        } else {
-                            newAlbums.push({
-                                title: album.title,
-                                artist: album.subtitle || 'Unknown',
-                                key: albumKey
-                            });
-                        }
-                    }
-                }
-                
-                await this.delay(100);
-                
-            } catch (error) {
-                if (error.message.includes('Invalid browse key')) {
-                    console.log(`  Browse session expired, attempting to restart scan...`);
-                    throw new Error('Browse session expired - will retry on next scan');
-                }
-                throw error;
+            const items = await this.loadBrowseItems(level, offset);
+            
+            for (const item of items) {
+                checkpoint.albums.push({
+                    title: item.title,
+                    artist: item.subtitle || 'Unknown',
+                    imageKey: item.image_key || null
+                });
+            }
+            checkpoint.offset = offset + remaining;
+
+            if (batch % 10 === 0) {
+                await this.saveScanCheckpoint(checkpoint);
+            }
+            
+            await this.delay(100);
+        }
+    }
+
+    // Apply a complete scan to the cache in one go, then work through the new albums
+    async commitScan(checkpoint) {
+        const isFirstRun = this.albumCache.size === 0;
+        const newAlbums = [];
+        const listedKeys = new Set();
+        const seenKeys = new Set();
+        const imageKeyIndex = this.buildImageKeyIndex();
+
+        for (const album of checkpoint.albums) {
+            const key = albumKey(album.artist, album.title);
+            if (listedKeys.has(key)) continue; // Listed twice by Roon, or re-read after resuming
+            listedKeys.add(key);
+
+            const existingKey = this.resolveAlbumKey(album, imageKeyIndex, seenKeys);
+            if (existingKey) {
+                seenKeys.add(existingKey);
+                this.markAlbumSeen(existingKey, album);
+                continue;
+            }
+
+            seenKeys.add(key);
+
+            if (isFirstRun) {
+                this.albumCache.set(key, createAlbumEntry(album, { initialCacheEntry: true }));
+            } else {
+                newAlbums.push({ ...album, key });
             }
         }
 
+        this.lastScanNewCount = newAlbums.length;
+        this.libraryAlbumCount = checkpoint.total;
+        this.libraryFingerprint = libraryFingerprint(listedKeys);
+        this.lastFullScan = new Date().toISOString();
+        this.scanCheckpoint = null;
+
+        // Only a complete pass over the library can tell us what is gone
+        if (!isFirstRun) {
+            this.markRemovedAlbums(seenKeys);
+        }
+
+        await this.saveCache();
+
         if (isFirstRun) {
             console.log(`Initial scan: cached ${this.albumCache.size} albums`);
         } else if (newAlbums.length > 0) {
@@ -328,410 +744,532 @@ class RoonLidarrIntegration {
         } else {
             console.log('No new albums found');
         }
-
-        await this.saveCache();
     }
 
-    async processNewAlbums(newAlbums) {
-        console.log(`\n=== Processing ${newAlbums.length} new albums ===`);
-        
-        for (let i = 0; i < newAlbums.length; i++) {
-            const album = newAlbums[i];
-            console.log(`\n[${i + 1}/${newAlbums.length}] "${album.title}" by ${album.artist}`);
+    // Cheap check between full scans. Walks the newest albums until it reaches ones we
+    // already know; without a date-sorted list, falls back to comparing the album count
+    // (and, with quickCheckFingerprint, the fingerprint of the album list) with the
+    // last full scan.
+    async quickScan() {
+        const recentResult = await this.openRecentAlbumsList();
+        if (recentResult) {
+            await this.scanRecentAlbums(recentResult);
+            return;
+        }
 
-            try {
-                const mbData = await this.lookupMusicBrainz(album.title, album.artist);
-                
-                // Initially cache with lidarrProcessed: false
-                this.albumCache.set(album.key, {
-                    musicBrainzId: mbData?.releaseGroupId || null,
-                    artistId: mbData?.artistId || null,
-                    dateFound: new Date().toISOString(),
-                    initialCacheEntry: false,
-                    lidarrProcessed: false // Track Lidarr processing separately
-                });
+        const albumsResult = await this.openAlbumsList();
+        if (albumsResult.list.count !== this.libraryAlbumCount) {
+            console.log(`Album count changed (${this.libraryAlbumCount} -> ${albumsResult.list.count}), running a full scan`);
+            await this.scanRoonLibrary();
+            return;
+        }
+        if (!this.quickCheckFingerprint) {
+            console.log(`Album count unchanged (${albumsResult.list.count}), no new albums`);
+            this.lastScanNewCount = 0;
+            return;
+        }
+        if (!this.libraryFingerprint) {
+            console.log('No album list fingerprint from the last full scan, running a full scan');
+            await this.scanRoonLibrary();
+            return;
+        }
 
-                if (mbData) {
-                    console.log(`  MusicBrainz: Artist ${mbData.artistId}, Album ${mbData.releaseGroupId}`);
-                    
-                    // Try Lidarr integration
-                    const lidarrSuccess = await this.addToLidarr(mbData, album);
-                    
-                    // Update cache with Lidarr processing status
-                    const cacheEntry = this.albumCache.get(album.key);
-                    cacheEntry.lidarrProcessed = lidarrSuccess;
-                    if (!lidarrSuccess) {
-                        cacheEntry.lastRetry = new Date().toISOString();
-                    }
-                    this.albumCache.set(album.key, cacheEntry);
-                    
-                } else {
-                    console.log(`  MusicBrainz: Not found - will retry in 7 days`);
-                    // No MusicBrainz data yet - mark for retry later
-                    const cacheEntry = this.albumCache.get(album.key);
-                    cacheEntry.lidarrProcessed = false; // Retry later - might be added to MusicBrainz
-                    cacheEntry.lastRetry = new Date().toISOString(); // Track when we last tried
-                    this.albumCache.set(album.key, cacheEntry);
-                }
+        // An album added and another removed leave the count as it was. Reading the
+        // list costs no lookups, and when it changed it is all a full scan needs.
+        const albums = await this.readAlbumsList(albumsResult);
+        const keys = new Set(albums.map(album => albumKey(album.artist, album.title)));
+        if (libraryFingerprint(keys) === this.libraryFingerprint) {
+            console.log(`Album list unchanged (${albums.length} albums), no new albums`);
+            this.lastScanNewCount = 0;
+            return;
+        }
 
-            } catch (error) {
-                console.error(`  Error: ${error.message}`);
-                this.albumCache.set(album.key, {
-                    musicBrainzId: null,
-                    artistId: null,
-                    dateFound: new Date().toISOString(),
-                    initialCacheEntry: false,
-                    lidarrProcessed: true // Don't retry failed lookups
+        console.log('Album list changed with the same album count, updating the cache');
+        await this.commitScan({ startedAt: new Date().toISOString(), offset: albums.length, total: albums.length, albums });
+    }
+
+    // Every album in Library > Albums, read without touching the cache or the scan checkpoint
+    async readAlbumsList(albumsResult) {
+        if (albumsResult.action !== 'list') {
+            throw new Error('Expected album list');
+        }
+
+        const { count, level } = albumsResult.list;
+        const batchSize = 100;
+        const albums = [];
+
+        for (let offset = 0; offset < count; offset += batchSize) {
+            this.setStatus(`Checking album list (${offset + 1}-${Math.min(offset + batchSize, count)} of ${count})`);
+            const items = await this.loadBrowseItems(level, offset);
+            for (const item of items) {
+                albums.push({
+                    title: item.title,
+                    artist: item.subtitle || 'Unknown',
+                    imageKey: item.image_key || null
                 });
             }
-            
-            await this.delay(1200); // Rate limiting
+
+            await this.delay(100);
         }
-        
-        // After processing new albums, check for any unprocessed albums from previous runs
-        await this.retryFailedLidarrAlbums();
+
+        return albums;
     }
 
-    // New method to retry albums that failed Lidarr processing
-    async retryFailedLidarrAlbums() {
-        const unprocessedAlbums = [];
-        const now = Date.now();
-        const RETRY_DELAY_DAYS = 7; // Retry failed lookups after 7 days
-        
-        for (const [key, data] of this.albumCache) {
-            if (!data.initialCacheEntry && !data.lidarrProcessed) {
-                
-                // Calculate days since last retry
-                const daysSinceRetry = data.lastRetry ? 
-                    (now - new Date(data.lastRetry)) / (1000 * 60 * 60 * 24) : 999;
-                
-                // Only retry if we haven't tried recently
-                if (daysSinceRetry >= RETRY_DELAY_DAYS) {
-                    const [artist, title] = key.split('|');
-                    
-                    // If no MusicBrainz IDs, need to do lookup again
-                    if (!data.musicBrainzId || !data.artistId) {
-                        unprocessedAlbums.push({
-                            key,
-                            title,
-                            artist,
-                            needsLookup: true
-                        });
-                    } else {
-                        // Has MusicBrainz IDs, just needs Lidarr integration
-                        unprocessedAlbums.push({
-                            key,
-                            title,
-                            artist,
-                            musicBrainzId: data.musicBrainzId,
-                            artistId: data.artistId,
-                            needsLookup: false
-                        });
-                    }
-                }
-            }
+    async scanRecentAlbums(recentResult) {
+        if (recentResult.action !== 'list') {
+            throw new Error('Expected album list');
         }
-        
-        if (unprocessedAlbums.length > 0) {
-            console.log(`\n=== Retrying ${unprocessedAlbums.length} albums that failed processing ===`);
-            
-            for (const album of unprocessedAlbums) {
-                console.log(`\nRetrying: "${album.title}" by ${album.artist}`);
-                
-                if (album.needsLookup) {
-                    // Need to lookup MusicBrainz again
-                    console.log(`  Re-attempting MusicBrainz lookup...`);
-                    const mbData = await this.lookupMusicBrainz(album.title, album.artist);
-                    
-                    if (mbData) {
-                        console.log(`  MusicBrainz: Now found! Artist ${mbData.artistId}, Album ${mbData.releaseGroupId}`);
-                        
-                        // Update cache with new MusicBrainz data
-                        const cacheEntry = this.albumCache.get(album.key);
-                        cacheEntry.musicBrainzId = mbData.releaseGroupId;
-                        cacheEntry.artistId = mbData.artistId;
-                        
-                        // Try Lidarr integration
-                        const lidarrSuccess = await this.addToLidarr(mbData, album);
-                        cacheEntry.lidarrProcessed = lidarrSuccess;
-                        cacheEntry.lastRetry = new Date().toISOString();
-                        this.albumCache.set(album.key, cacheEntry);
-                    } else {
-                        console.log(`  MusicBrainz: Still not found - will retry in ${RETRY_DELAY_DAYS} days`);
-                        // Update lastRetry so we don't check again too soon
-                        const cacheEntry = this.albumCache.get(album.key);
-                        cacheEntry.lastRetry = new Date().toISOString();
-                        this.albumCache.set(album.key, cacheEntry);
-                    }
-                } else {
-                    // Has MusicBrainz IDs, retry Lidarr integration
-                    const mbData = {
-                        artistId: album.artistId,
-                        releaseGroupId: album.musicBrainzId,
-                        artistName: album.artist
-                    };
-                    
-                    const lidarrSuccess = await this.addToLidarr(mbData, album);
-                    
-                    // Update cache with result
-                    const cacheEntry = this.albumCache.get(album.key);
-                    cacheEntry.lidarrProcessed = lidarrSuccess;
-                    cacheEntry.lastRetry = new Date().toISOString();
-                    this.albumCache.set(album.key, cacheEntry);
+
+        const totalAlbums = recentResult.list.count;
+        const level = recentResult.list.level;
+        const batchSize = 100;
+        const stopAfterKnown = 20; // Tolerate a few re-dated albums before concluding we're caught up
+        const imageKeyIndex = this.buildImageKeyIndex();
+        const seenKeys = new Set();
+        const newAlbums = [];
+        let knownInARow = 0;
+
+        pages:
+        for (let offset = 0; offset < totalAlbums; offset += batchSize) {
+            this.setStatus(`Checking recently added albums (${offset + 1}+)`);
+            const items = await this.loadBrowseItems(level, offset);
+
+            for (const item of items) {
+                const album = {
+                    title: item.title,
+                    artist: item.subtitle || 'Unknown',
+                    imageKey: item.image_key || null
+                };
+
+                if (this.resolveAlbumKey(album, imageKeyIndex, seenKeys)) {
+                    if (++knownInARow >= stopAfterKnown) break pages;
+                    continue;
                 }
-                
-                await this.delay(1200);
+
+                knownInARow = 0;
+                const key = albumKey(album.artist, album.title);
+                if (seenKeys.has(key)) continue;
+                seenKeys.add(key);
+                newAlbums.push({ ...album, key });
             }
+
+            await this.delay(100);
+        }
+
+        this.lastScanNewCount = newAlbums.length;
+
+        if (newAlbums.length > 0) {
+            console.log(`Quick check: found ${newAlbums.length} new albums`);
+            await this.processNewAlbums(newAlbums);
+        } else {
+            console.log('Quick check: no new albums');
         }
     }
 
-    // Enhanced addToLidarr that returns success/failure status
-    async addToLidarr(mbData, albumInfo) {
-        try {
-            // Test connection before proceeding
-            const connected = await this.testLidarrConnection();
-            if (!connected) {
-                console.log(`  Lidarr unavailable, will retry later`);
-                return false; // Return false to indicate failure
+    // Map Roon image keys to cache keys so renamed albums keep their identity
+    buildImageKeyIndex() {
+        const index = new Map();
+        for (const [key, entry] of this.albumCache) {
+            if (entry.identity.imageKey) {
+                index.set(entry.identity.imageKey, key);
             }
+        }
+        return index;
+    }
 
-            // Check if artist exists
-            let artist = await this.getLidarrArtist(mbData.artistId);
-            
-            if (!artist) {
-                console.log(`  Adding artist to Lidarr: ${mbData.artistName}`);
-                artist = await this.addLidarrArtist(mbData.artistId, mbData.artistName);
-                if (!artist) throw new Error('Failed to add artist');
-            }
+    // Find the cache entry for an album from Roon, following renames via image_key
+    resolveAlbumKey(album, imageKeyIndex, seenKeys) {
+        const key = albumKey(album.artist, album.title);
+        if (this.albumCache.has(key)) {
+            return key;
+        }
 
-            // Check if album exists
-            const album = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
-            
-            if (album) {
-                // Check if album already has files
-                const hasFiles = this.albumHasFiles(album);
-                const isMonitored = album.monitored;
-                
-                console.log(`  Album exists in Lidarr: monitored=${isMonitored}, hasFiles=${hasFiles}`);
-                
-                if (hasFiles) {
-                    console.log(`  Album already has files, marking as complete`);
-                    return true; // SUCCESS - album is already complete
-                }
-                
-                if (isMonitored) {
-                    console.log(`  Album already monitored but no files, triggering search`);
-                    await this.searchAlbum(album.id);
-                } else {
-                    console.log(`  Setting album to monitored and searching`);
-                    await this.setAlbumMonitoring(album.id, true);
-                    await this.searchAlbum(album.id);
-                }
-                
-            } else {
-                console.log(`  Refreshing artist to discover album`);
-                await this.refreshArtist(artist.id);
-                await this.delay(3000);
-                
-                const newAlbum = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
-                if (newAlbum) {
-                    const hasFiles = this.albumHasFiles(newAlbum);
-                    
-                    if (hasFiles) {
-                        console.log(`  Discovered album already has files, marking as complete`);
-                        return true; // SUCCESS - album is already complete
-                    } else {
-                        console.log(`  Setting discovered album to monitored and searching`);
-                        await this.setAlbumMonitoring(newAlbum.id, true);
-                        await this.searchAlbum(newAlbum.id);
-                        return true; // SUCCESS - album set to monitored and search triggered
-                    }
-                } else {
-                    console.log(`  Album not found after refresh, will retry later`);
-                    return false; // Failed to find album, retry later
-                }
-            }
-            
-            return true; // Successfully processed
-            
-        } catch (error) {
-            console.error(`  Lidarr integration failed: ${error.message}`);
-            console.log(`  Will retry this album later`);
-            return false; // Return false to indicate failure
+        if (!album.imageKey) return null;
+
+        const candidateKey = imageKeyIndex.get(album.imageKey);
+        if (!candidateKey || seenKeys.has(candidateKey)) return null;
+
+        // Shared artwork alone isn't enough - require the artist or the title to still match
+        const candidate = this.albumCache.get(candidateKey).identity;
+        const identity = createIdentity(album);
+        if (candidate.artist === identity.artist || candidate.title === identity.title) {
+            return candidateKey;
         }
+
+        return null;
     }
 
-    // MusicBrainz Integration with proper Lucene escaping
-    async lookupMusicBrainz(albumTitle, artistName) {
-        const escapedAlbum = this.escapeLuceneSpecialChars(albumTitle);
-        const escapedArtist = this.escapeLuceneSpecialChars(artistName);
-        
-        const query = `release:${escapedAlbum} AND artist:${escapedArtist}`;
-        const url = `https://musicbrainz.org/ws/2/release/?query=${encodeURIComponent(query)}&fmt=json&limit=10&inc=release-groups`;
-
-        return new Promise((resolve) => {
-            const req = https.get(url, {
-                headers: { 'User-Agent': 'RoonLidarrIntegration/1.0.0 ( integration@example.com )' }
-            }, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (result.releases?.length > 0) {
-                            const match = this.findBestMatch(result.releases, albumTitle.toLowerCase(), artistName.toLowerCase());
-                            if (match?.['release-group']) {
-                                const artistId = match['artist-credit']?.[0]?.artist?.id;
-                                const releaseGroupId = match['release-group'].id;
-                                
-                                if (artistId && releaseGroupId) {
-                                    resolve({
-                                        artistId,
-                                        releaseGroupId,
-                                        artistName: match['artist-credit'][0].artist.name
-                                    });
-                                    return;
-                                }
-                            }
-                        }
-                        resolve(null);
-                    } catch (error) {
-                        resolve(null);
-                    }
-                });
-            });
-            
-            req.on('error', () => resolve(null));
-            req.setTimeout(8000, () => {
-                req.destroy();
-                resolve(null);
-            });
-        });
+    markAlbumSeen(key, album) {
+        const entry = this.albumCache.get(key);
+        const identity = createIdentity(album);
+
+        if (entry.identity.artist !== identity.artist || entry.identity.title !== identity.title) {
+            console.log(`  Renamed in Roon: "${entry.title}" by ${entry.artist} -> "${album.title}" by ${album.artist}`);
+            entry.identity.artist = identity.artist;
+            entry.identity.title = identity.title;
+        }
+        entry.artist = album.artist;
+        entry.title = album.title;
+        entry.identity.imageKey = album.imageKey || entry.identity.imageKey;
+        entry.lastSeen = new Date().toISOString();
+
+        if (entry.removedAt) {
+            console.log(`  Back in Roon library: "${album.title}" by ${album.artist}`);
+            entry.removedAt = null;
+        }
     }
 
-    // Proper Lucene special character escaping for MusicBrainz
-    escapeLuceneSpecialChars(term) {
-        return term.replace(/[+\-&|!(){}\[\]^"~*?:\\\/]/g, '\\$&');
+    markRemovedAlbums(seenKeys) {
+        const now = new Date().toISOString();
+        let removed = 0;
+
+        for (const [key, entry] of this.albumCache) {
+            if (!seenKeys.has(key) && !entry.removedAt) {
+                entry.removedAt = now;
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`${removed} albums no longer in the Roon library, marked as removed`);
+        }
     }
 
-    findBestMatch(releases, targetAlbum, targetArtist) {
-        const targetAlbumNormalized = this.normalizeForMatching(targetAlbum);
-        const targetArtistNormalized = this.normalizeForMatching(targetArtist);
+    // Process albums new to the cache, then send a digest of how it went
+    async processNewAlbums(newAlbums) {
+        console.log(`\n=== Processing ${newAlbums.length} new albums ===`);
+        const digest = new Digest();
+        this.metrics.newAlbums.inc({}, newAlbums.length);
+        
+        for (let i = 0; i < newAlbums.length; i++) {
+            const album = newAlbums[i];
+            console.log(`\n[${i + 1}/${newAlbums.length}] "${album.title}" by ${album.artist}`);
+            this.setStatus(`Processing ${newAlbums.length} new albums (${i + 1}/${newAlbums.length})`);
 
-        let bestMatch = null;
-        let bestScore = 0;
+            this.albumCache.set(album.key, createAlbumEntry(album));
+            await this.processAlbum(album.key, { digest });
+        }
 
-        for (const release of releases) {
-            const releaseTitle = this.normalizeForMatching(release.title.toLowerCase());
-            const releaseArtist = this.normalizeForMatching(release['artist-credit']?.[0]?.artist?.name?.toLowerCase() || '');
-            
-            let score = 0;
-            
-            // Album title scoring - more flexible with similarity matching
-            if (releaseTitle === targetAlbumNormalized) {
-                score += 20; // Perfect normalized match
-            } else if (releaseTitle.includes(targetAlbumNormalized) || targetAlbumNormalized.includes(releaseTitle)) {
-                score += 15; // Partial match
-            } else if (this.calculateSimilarity(releaseTitle, targetAlbumNormalized) > 0.8) {
-                score += 12; // High similarity
-            } else if (this.calculateSimilarity(releaseTitle, targetAlbumNormalized) > 0.6) {
-                score += 8; // Moderate similarity
-            }
-            
-            // Artist scoring - more flexible
-            if (releaseArtist === targetArtistNormalized) {
-                score += 20; // Perfect normalized match
-            } else if (releaseArtist.includes(targetArtistNormalized) || targetArtistNormalized.includes(releaseArtist)) {
-                score += 15; // Partial match
-            } else if (this.calculateSimilarity(releaseArtist, targetArtistNormalized) > 0.8) {
-                score += 12; // High similarity
+        if (!digest.empty) {
+            await this.notify(digest.toMessage());
+        }
+    }
+
+    // Retry albums whose backoff has expired. Albums that need attention are left alone.
+    async retryFailedLidarrAlbums() {
+        const dueKeys = [];
+        const now = Date.now();
+        
+        for (const [key, data] of this.albumCache) {
+            if (data.initialCacheEntry || data.lidarrProcessed || data.removedAt || data.override?.ignore) continue;
+
+            // Skipped compilations come back once they're no longer skipped
+            const due = data.skipped
+                ? this.compilationMode !== 'skip'
+                : isRetryDue(data, now, { legacyDelayDays: this.retryDelayDays });
+            if (due) {
+                dueKeys.push(key);
             }
+        }
+        
+        if (dueKeys.length > 0) {
+            console.log(`\n=== Retrying ${dueKeys.length} albums that failed processing ===`);
             
-            if (score > bestScore) {
-                bestScore = score;
-                bestMatch = release;
+            for (const [i, key] of dueKeys.entries()) {
+                this.setStatus(`Retrying ${dueKeys.length} albums (${i + 1}/${dueKeys.length})`);
+                await this.retryAlbum(key);
             }
         }
+    }
+
+    // Retry a single cache entry, regardless of when it was last tried
+    async retryAlbum(key) {
+        const cacheEntry = this.albumCache.get(key);
+        if (!cacheEntry) {
+            throw new Error(`Album not in cache: ${key}`);
+        }
+
+        console.log(`\nRetrying: "${cacheEntry.title}" by ${cacheEntry.artist}`);
 
-        // Lowered threshold from 15 to 12 for better edge case handling
-        return bestScore >= 12 ? bestMatch : null;
+        // A forced retry of a seeded entry turns it into a regular tracked album
+        cacheEntry.initialCacheEntry = false;
+
+        const retriedFor = cacheEntry.skipped ? 'compilation' : cacheEntry.failureClass || 'none';
+        let result = 'error';
+        try {
+            const entry = await this.processAlbum(key);
+            result = this.getAlbumState(entry);
+            return entry;
+        } finally {
+            this.metrics.retries.inc({ failure_class: retriedFor, result });
+        }
     }
 
-    // Normalize strings for comparison - removes punctuation and extra spaces
-    normalizeForMatching(str) {
-        if (!str) return '';
-        return str
-            .toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove all punctuation
-            .replace(/\s+/g, ' ')    // Normalize spaces
-            .trim();
+    // Retry one album on request, queued behind any running scan or retry pass so
+    // they never write the same entry at once. Lidarr's state is checked afresh
+    // first, as the last pass may have found it down.
+    queueAlbumRetry(key) {
+        return this.scheduler.exclusive(`retry of ${key}`, () => this.runForAlbum(async () => {
+            await this.testLidarrConnection();
+            return this.retryAlbum(key);
+        }));
     }
 
-    // Calculate string similarity using Levenshtein distance
-    calculateSimilarity(str1, str2) {
-        if (!str1 || !str2) return 0;
-        
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-        
-        if (longer.length === 0) return 1.0;
-        
-        const distance = this.levenshteinDistance(longer, shorter);
-        return (longer.length - distance) / longer.length;
+    // Work on one album outside the scheduled runs, with a dry-run report of its own
+    async runForAlbum(task) {
+        this.dryRunReport?.begin('album');
+        try {
+            return await task();
+        } finally {
+            await this.dryRunReport?.write();
+        }
     }
 
-    // Levenshtein distance algorithm for fuzzy string matching
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
-        
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
+    // Resolve MusicBrainz IDs if we don't have them yet, then add the album to Lidarr.
+    // The outcome is recorded in the entry's attempt history, which schedules the next retry.
+    // A pinned override replaces the lookup entirely. Various Artists compilations
+    // are skipped or added under MusicBrainz' Various Artists, per compilationMode.
+    // The outcome is also recorded in `digest`, if given.
+    async processAlbum(key, { digest = null } = {}) {
+        const cacheEntry = this.albumCache.get(key);
+        const { artist, title, identity, override } = cacheEntry;
+        const album = { key, title, artist };
+
+        if (override?.ignore) {
+            console.log(`  Ignored by user - skipping`);
+            return cacheEntry;
         }
-        
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
+
+        delete cacheEntry.skipped;
+        if (!override && isVariousArtists(artist) && this.compilationMode === 'skip') {
+            return this.skipCompilation(key, cacheEntry);
         }
-        
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1,
-                        matrix[i][j - 1] + 1,
-                        matrix[i - 1][j] + 1
-                    );
+
+        try {
+            let artistName = artist;
+            if (override) {
+                console.log(`  Using pinned MusicBrainz IDs: Artist ${override.artistId}, Album ${override.releaseGroupId}`);
+                identity.releaseGroupId = override.releaseGroupId;
+                identity.artistId = override.artistId;
+                artistName = override.artistName || artist;
+            } else if (!identity.releaseGroupId || !identity.artistId) {
+                if (!cacheEntry.details) {
+                    cacheEntry.details = await this.loadAlbumDetails(album);
                 }
+
+                const { candidates, strategies } = await this.searchMusicBrainz(title, artist, cacheEntry.details || {});
+                const best = candidates[0];
+                const verdict = best ? classifyConfidence(best.confidence, this.matchThresholds) : 'reject';
+
+                // Keep the top candidates so the review queue can offer them, and
+                // which strategies ran so we can see how the album was found
+                cacheEntry.candidates = candidates.slice(0, REVIEW_CANDIDATES);
+                cacheEntry.lookup = {
+                    at: new Date().toISOString(),
+                    matchedBy: best?.strategy || null,
+                    strategies
+                };
+
+                if (verdict === 'reject') {
+                    throw new ProcessingError('musicbrainz_no_match', 'No matching release on MusicBrainz');
+                }
+                if (verdict === 'review') {
+                    throw new ProcessingError('musicbrainz_low_confidence',
+                        `Best MusicBrainz match "${best.title}" by ${best.artistName} has confidence ${best.confidence}`);
+                }
+
+                if (best.artistId === VARIOUS_ARTISTS_MBID && this.compilationMode === 'skip') {
+                    return this.skipCompilation(key, cacheEntry);
+                }
+
+                console.log(`  MusicBrainz: Artist ${best.artistId}, Album ${best.releaseGroupId} (confidence ${best.confidence})`);
+                identity.releaseGroupId = best.releaseGroupId;
+                identity.artistId = best.artistId;
+                artistName = best.artistName;
+                cacheEntry.candidates = null;
+            }
+
+            cacheEntry.lidarrChanges = cacheEntry.lidarrChanges || [];
+            const outcome = await this.addToLidarr({
+                artistId: identity.artistId,
+                releaseGroupId: identity.releaseGroupId,
+                artistName
+            }, album, cacheEntry.lidarrChanges);
+
+            cacheEntry.lidarrProcessed = true;
+            recordAttempt(cacheEntry, null);
+            digest?.recordAdded(cacheEntry, outcome.existing);
+            // From here on checkDownloads follows what the search turns up
+            if (!this.dryRun && outcome.albumId) {
+                startTracking(cacheEntry, outcome, this.downloadTracking);
+            }
+
+        } catch (error) {
+            recordAttempt(cacheEntry, error, { noMatchDelayDays: this.retryDelayDays });
+            digest?.recordFailure(cacheEntry, cacheEntry.failureClass, error.message);
+            if (cacheEntry.needsAttention) {
+                console.log(`  ${cacheEntry.failureClass}: ${error.message} - giving up, needs attention`);
+            } else {
+                console.log(`  ${cacheEntry.failureClass}: ${error.message} - will retry after ${cacheEntry.nextRetry}`);
             }
         }
-        
-        return matrix[str2.length][str1.length];
+
+        await this.saveAlbum(key);
+        return cacheEntry;
     }
 
-    // Enhanced addToLidarr that returns success/failure status
-    async addToLidarr(mbData, albumInfo) {
-        try {
-            // Test connection before proceeding
-            const connected = await this.testLidarrConnection();
-            if (!connected) {
-                console.log(`  Lidarr unavailable, will retry later`);
-                return false; // Return false to indicate failure
+    // Leave a compilation out of Lidarr without counting it as a failure. It is
+    // processed again if compilationMode changes.
+    async skipCompilation(key, cacheEntry) {
+        console.log(`  Various Artists compilation - skipping`);
+
+        cacheEntry.skipped = { reason: 'compilation', at: new Date().toISOString() };
+        cacheEntry.candidates = null;
+        cacheEntry.failureClass = null;
+        cacheEntry.nextRetry = null;
+        cacheEntry.needsAttention = false;
+
+        await this.saveAlbum(key);
+        return cacheEntry;
+    }
+
+    // Remove an album from the cache so the next scan treats it as new
+    async forgetAlbum(key) {
+        const existed = this.albumCache.delete(key);
+        if (existed) {
+            await this.storage.deleteAlbum(key);
+        }
+        return existed;
+    }
+
+    // Albums MusicBrainz had no confident match for, with the candidates it offered
+    listReviewQueue() {
+        const queue = [];
+        for (const [key, entry] of this.albumCache) {
+            const state = this.getAlbumState(entry);
+            if (state !== 'pending_musicbrainz' && state !== 'needs_attention') continue;
+            if (entry.override) continue;
+            if (entry.failureClass !== 'musicbrainz_no_match' && entry.failureClass !== 'musicbrainz_low_confidence') continue;
+
+            queue.push({
+                key,
+                state,
+                artist: entry.artist,
+                title: entry.title,
+                failureClass: entry.failureClass,
+                attempts: (entry.attempts || []).length,
+                nextRetry: entry.nextRetry || null,
+                candidates: entry.candidates || []
+            });
+        }
+        return queue;
+    }
+
+    // Pin an album to a release group (the artist defaults to the release group's
+    // lead artist) or, with `ignore`, never send it to Lidarr. Pinned albums skip
+    // the MusicBrainz lookup from then on and are due for processing right away.
+    // Resolves to null if the album isn't cached.
+    async setAlbumOverride(key, { releaseGroupId = null, artistId = null, ignore = false } = {}) {
+        const entry = this.albumCache.get(key);
+        if (!entry) return null;
+
+        if (ignore) {
+            entry.override = { ignore: true, at: new Date().toISOString() };
+        } else {
+            for (const id of [releaseGroupId, artistId]) {
+                if (id !== null && !MBID_PATTERN.test(id)) {
+                    throw Object.assign(new Error(`"${id}" is not a MusicBrainz ID`), { code: 'INVALID_MBID' });
+                }
+            }
+            if (!releaseGroupId) {
+                throw Object.assign(new Error('A release group MBID is required'), { code: 'INVALID_MBID' });
             }
 
-            // Check if artist exists
-            let artist = await this.getLidarrArtist(mbData.artistId);
-            
-            if (!artist) {
-                console.log(`  Adding artist to Lidarr: ${mbData.artistName}`);
-                artist = await this.addLidarrArtist(mbData.artistId, mbData.artistName);
-                if (!artist) throw new Error('Failed to add artist');
+            const releaseGroup = await this.lookupReleaseGroup(releaseGroupId, entry.artist);
+            if (!releaseGroup) {
+                throw Object.assign(new Error(`Release group ${releaseGroupId} not found on MusicBrainz`), { code: 'UNKNOWN_MBID' });
             }
 
-            // Check if album exists
-            const album = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
+            const credited = releaseGroup.artists.find(credit => credit.id === artistId);
+            entry.override = {
+                releaseGroupId: releaseGroup.releaseGroupId,
+                artistId: artistId || releaseGroup.artistId,
+                artistName: artistId ? credited?.name || null : releaseGroup.artistName,
+                title: releaseGroup.title,
+                at: new Date().toISOString()
+            };
+        }
+
+        entry.needsAttention = false;
+        entry.nextRetry = new Date().toISOString();
+        console.log(`Override for "${entry.title}" by ${entry.artist}: ${JSON.stringify(entry.override)}`);
+        await this.saveAlbum(key);
+        return entry;
+    }
+
+    // Drop a pin or ignore; the next attempt looks the album up again
+    async clearAlbumOverride(key) {
+        const entry = this.albumCache.get(key);
+        if (!entry) return null;
+
+        if (entry.override && !entry.lidarrProcessed) {
+            entry.identity.releaseGroupId = null;
+            entry.identity.artistId = null;
+            entry.nextRetry = new Date().toISOString();
+        }
+        delete entry.override;
+        await this.saveAlbum(key);
+        return entry;
+    }
+
+    // Derive a display state for a cache entry
+    getAlbumState(entry) {
+        if (entry.removedAt) return 'removed';
+        if (entry.initialCacheEntry) return 'initial';
+        if (entry.override?.ignore) return 'ignored';
+        if (entry.skipped) return 'skipped';
+        if (entry.lidarrProcessed) return 'done';
+        if (entry.needsAttention) return 'needs_attention';
+        if (!entry.identity.releaseGroupId || !entry.identity.artistId) return 'pending_musicbrainz';
+        return 'pending_lidarr';
+    }
+
+    listAlbums(state = null) {
+        const albums = [];
+        for (const [key, entry] of this.albumCache) {
+            const albumState = this.getAlbumState(entry);
+            if (state && albumState !== state) continue;
+
+            albums.push({ key, state: albumState, ...entry });
+        }
+        return albums;
+    }
+
+    // Add or monitor the album in Lidarr. Resolves once the album is monitored (or
+    // already has files) to { albumId, commandId?, hasFiles?, existing? } - the search
+    // command, if one was sent, for the download tracker, and whether the album was
+    // in Lidarr already; otherwise throws a ProcessingError
+    // saying why not. Every change made in Lidarr is appended to `changes`, see
+    // undoLidarrChanges.
+    async addToLidarr(mbData, albumInfo, changes = []) {
+        this.dryRunReport?.setAlbum(albumInfo);
+
+        // Checked once per scan or retry pass, and after any request that found Lidarr down
+        if (this.lidarrAvailable === false) {
+            throw new ProcessingError('lidarr_unavailable', 'Lidarr is unreachable');
+        }
+
+        try {
+            // Check if artist and album exist
+            let artist = await this.lidarr.getArtist(mbData.artistId);
+            const album = await this.lidarr.getAlbum(mbData.releaseGroupId);
             
             if (album) {
+                const owner = await this.lidarr.getArtistById(album.artistId);
+                if (owner) {
+                    await this.applyExistingArtistPolicy(owner, this.resolveAddPolicy(albumInfo, album, owner), changes);
+                }
+
                 // Check if album already has files
                 const hasFiles = this.albumHasFiles(album);
                 const isMonitored = album.monitored;
@@ -740,51 +1278,184 @@ class RoonLidarrIntegration {
                 
                 if (hasFiles) {
                     console.log(`  Album already has files, marking as complete`);
-                    return true; // SUCCESS - album is already complete
+                    return { albumId: album.id, hasFiles: true, existing: true };
                 }
                 
                 if (isMonitored) {
                     console.log(`  Album already monitored but no files, triggering search`);
-                    await this.searchAlbum(album.id);
                 } else {
                     console.log(`  Setting album to monitored and searching`);
                     await this.setAlbumMonitoring(album.id, true);
-                    await this.searchAlbum(album.id);
+                    this.recordChange(changes, { action: 'monitor_album', albumId: album.id, previous: false });
                 }
-                
+                const command = await this.searchAlbum(album.id);
+                return { albumId: album.id, commandId: command?.id, existing: true };
+            }
+
+            // Add just this release group from Lidarr's metadata. Lidarr files it under
+            // the release group's artist, which it adds too if needed.
+            const lookup = (await this.lidarr.lookupAlbum(mbData.releaseGroupId))
+                .find(result => result.foreignAlbumId === mbData.releaseGroupId);
+            if (lookup) {
+                const owner = lookup.artist?.foreignArtistId === mbData.artistId
+                    ? artist
+                    : await this.lidarr.getArtist(lookup.artist?.foreignArtistId);
+                const policy = this.resolveAddPolicy(albumInfo, lookup, lookup.artist, owner);
+                if (owner) {
+                    await this.applyExistingArtistPolicy(owner, policy, changes);
+                }
+
+                console.log(`  Adding album to Lidarr${owner ? '' : ` with new artist ${lookup.artist?.artistName}`} and searching`);
+                let added;
+                try {
+                    added = await this.addLidarrAlbum(lookup, owner, policy);
+                } catch (error) {
+                    if (owner || !(error instanceof LidarrValidationError)) throw error;
+                    throw new ProcessingError('artist_rejected', `Lidarr rejected album and artist: ${error.message}`);
+                }
+                if (!owner) {
+                    this.recordChange(changes, {
+                        action: 'add_artist',
+                        artistId: added.artistId,
+                        foreignArtistId: lookup.artist?.foreignArtistId,
+                        artistName: lookup.artist?.artistName
+                    });
+                }
+                this.recordChange(changes, { action: 'add_album', albumId: added.id, foreignAlbumId: added.foreignAlbumId });
+                // Lidarr searches for it as part of the add, so there is no command to watch
+                return { albumId: added.id };
+            }
+
+            // Lidarr's metadata doesn't have the release group on its own - add the
+            // artist if needed and let a refresh discover it
+            if (artist) {
+                await this.applyExistingArtistPolicy(artist, this.resolveAddPolicy(albumInfo, artist), changes);
             } else {
-                console.log(`  Refreshing artist to discover album`);
-                await this.refreshArtist(artist.id);
-                await this.delay(3000);
-                
-                const newAlbum = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
-                if (newAlbum) {
-                    const hasFiles = this.albumHasFiles(newAlbum);
-                    
-                    if (hasFiles) {
-                        console.log(`  Discovered album already has files, marking as complete`);
-                        return true; // SUCCESS - album is already complete
-                    } else {
-                        console.log(`  Setting discovered album to monitored and searching`);
-                        await this.setAlbumMonitoring(newAlbum.id, true);
-                        await this.searchAlbum(newAlbum.id);
-                        return true; // SUCCESS - album set to monitored and search triggered
-                    }
-                } else {
-                    console.log(`  Album not found after refresh, will retry later`);
-                    return false; // Failed to find album, retry later
+                const [artistLookup] = await this.lidarr.lookupArtist(mbData.artistId);
+                const policy = this.resolveAddPolicy(albumInfo, artistLookup);
+
+                console.log(`  Adding artist to Lidarr: ${mbData.artistName}`);
+                try {
+                    artist = await this.addLidarrArtist(mbData.artistId, mbData.artistName, policy);
+                } catch (error) {
+                    if (!(error instanceof LidarrValidationError)) throw error;
+                    throw new ProcessingError('artist_rejected', `Lidarr rejected artist: ${error.message}`);
                 }
+                if (!artist) throw new ProcessingError('artist_rejected', 'Lidarr did not return the added artist');
+                this.recordChange(changes, {
+                    action: 'add_artist',
+                    artistId: artist.id,
+                    foreignArtistId: mbData.artistId,
+                    artistName: mbData.artistName
+                });
             }
-            
-            return true; // Successfully processed
+
+            console.log(`  Refreshing artist to discover album`);
+            await this.refreshArtist(artist.id);
+
+            if (this.dryRun) {
+                // Nothing was refreshed, so report what would happen once the album shows up
+                await this.setAlbumMonitoring(null, true);
+                await this.searchAlbum(null);
+                return { albumId: null };
+            }
+
+            await this.lidarr.reloadArtistAlbums(artist.id);
+            const newAlbum = await this.lidarr.getAlbum(mbData.releaseGroupId);
+            if (!newAlbum) {
+                throw new ProcessingError('album_not_found', 'Album not found in Lidarr after refreshing the artist');
+            }
+
+            if (this.albumHasFiles(newAlbum)) {
+                console.log(`  Discovered album already has files, marking as complete`);
+                return { albumId: newAlbum.id, hasFiles: true };
+            }
+
+            console.log(`  Setting discovered album to monitored and searching`);
+            await this.setAlbumMonitoring(newAlbum.id, true);
+            this.recordChange(changes, { action: 'monitor_album', albumId: newAlbum.id, previous: newAlbum.monitored });
+            const command = await this.searchAlbum(newAlbum.id);
+            return { albumId: newAlbum.id, commandId: command?.id };
             
         } catch (error) {
-            console.error(`  Lidarr integration failed: ${error.message}`);
-            console.log(`  Will retry this album later`);
-            return false; // Return false to indicate failure
+            if (error instanceof ProcessingError) throw error;
+            if (error instanceof LidarrUnavailableError) {
+                // Don't wait out the timeouts again for every remaining album
+                this.lidarrAvailable = false;
+            }
+            throw new ProcessingError(error.failureClass || 'lidarr_error', `Lidarr integration failed: ${error.message}`);
         }
     }
 
+    // MusicBrainz Integration. Resolves to the best release group we'd add
+    // unattended, or null if there's no confident match.
+    async lookupMusicBrainz(albumTitle, artistName, details = {}) {
+        const { candidates: [best] } = await this.searchMusicBrainz(albumTitle, artistName, details);
+        return best && classifyConfidence(best.confidence, this.matchThresholds) === 'accept' ? best : null;
+    }
+
+    // Run the lookup strategies in order until one finds a match we'd accept.
+    // `details` may carry what Roon knows about the album (its track count).
+    // Resolves to { candidates, strategies }: release groups from every strategy
+    // tried, best first and tagged with the strategy that found them, and a
+    // summary of each strategy's result.
+    async searchMusicBrainz(albumTitle, artistName, details = {}) {
+        const album = { title: albumTitle, artist: artistName, ...details };
+        const found = new Map();
+        const strategies = [];
+
+        for (const strategy of LOOKUP_STRATEGIES) {
+            if (!strategy.applies(album)) continue;
+
+            let results;
+            try {
+                results = await strategy.search(this.musicBrainz, album);
+            } catch (error) {
+                this.metrics.musicBrainzLookups.inc({ result: 'error' });
+                throw error;
+            }
+            const ranked = rankReleases(album, results);
+            for (const candidate of ranked) {
+                const existing = found.get(candidate.releaseGroupId);
+                if (!existing || existing.confidence < candidate.confidence) {
+                    found.set(candidate.releaseGroupId, { ...candidate, strategy: strategy.name });
+                }
+            }
+
+            const bestConfidence = ranked[0]?.confidence ?? null;
+            strategies.push({ strategy: strategy.name, candidates: ranked.length, bestConfidence });
+
+            if (bestConfidence !== null && classifyConfidence(bestConfidence, this.matchThresholds) === 'accept') {
+                break;
+            }
+        }
+
+        const candidates = Array.from(found.values()).sort((a, b) => b.confidence - a.confidence);
+        const hit = candidates.length > 0 && classifyConfidence(candidates[0].confidence, this.matchThresholds) === 'accept';
+        this.metrics.musicBrainzLookups.inc({ result: hit ? 'hit' : 'miss' });
+        return { candidates, strategies };
+    }
+
+    // Artist and title of a release group, for pinning an MBID by hand
+    // The lead artist is the credit matching `artistName`, see leadCredit
+    async lookupReleaseGroup(releaseGroupId, artistName = '') {
+        const result = await this.musicBrainz.get(`release-group/${encodeURIComponent(releaseGroupId)}`, {
+            inc: 'artist-credits'
+        });
+        const credits = result?.['artist-credit'] || [];
+        const artist = leadCredit(artistName, credits)?.artist;
+        if (!artist) return null;
+
+        return {
+            releaseGroupId: result.id,
+            artistId: artist.id,
+            artistName: artist.name,
+            artists: credits.filter(credit => credit.artist?.id)
+                .map(credit => ({ id: credit.artist.id, name: credit.artist.name })),
+            title: result.title
+        };
+    }
+
     // Check if album has any downloaded files
     albumHasFiles(album) {
         // Check if any tracks have files
@@ -801,119 +1472,117 @@ class RoonLidarrIntegration {
         return album.trackCount > 0 && album.statistics?.percentOfTracks === 100;
     }
 
-    async getLidarrAlbum(artistId, releaseGroupId) {
-        // Request album with additional track and file information
-        const albums = await this.makeLidarrRequest(`/album?artistId=${artistId}&includeAllArtistAlbums=true`);
-        const album = albums.find(a => a.foreignAlbumId === releaseGroupId);
-        
-        if (album) {
-            // Get detailed album info including tracks and files
-            const detailedAlbum = await this.makeLidarrRequest(`/album/${album.id}`);
-            return detailedAlbum;
+    // Start of a scan or retry pass: check Lidarr is reachable and drop the
+    // artist and album index so the pass sees Lidarr's current state. Sends an
+    // alert once it has failed lidarrUnreachableAfter checks in a row, and
+    // another when it is back.
+    async testLidarrConnection() {
+        this.lidarr.invalidate();
+        let failure = null;
+        try {
+            await this.lidarr.status();
+            this.lidarrAvailable = true;
+        } catch (error) {
+            console.error(`Lidarr connection test failed: ${error.message}`);
+            this.lidarrAvailable = false;
+            failure = error;
         }
-        
-        return null;
-    }
 
-    async makeLidarrRequest(endpoint, method = 'GET', data = null, retries = 3) {
-        const url = new URL(`${this.lidarrConfig.baseUrl}/api/v1${endpoint}`);
-        const httpModule = url.protocol === 'https:' ? https : http;
-        
-        for (let attempt = 1; attempt <= retries; attempt++) {
-            try {
-                const result = await new Promise((resolve, reject) => {
-                    const options = {
-                        hostname: url.hostname,
-                        port: url.port,
-                        path: url.pathname + url.search,
-                        method,
-                        timeout: 10000, // 10 second timeout
-                        headers: {
-                            'X-Api-Key': this.lidarrConfig.apiKey,
-                            'Content-Type': 'application/json'
-                        }
-                    };
-
-                    const req = httpModule.request(options, (res) => {
-                        let responseData = '';
-                        res.on('data', chunk => responseData += chunk);
-                        res.on('end', () => {
-                            try {
-                                const result = responseData ? JSON.parse(responseData) : null;
-                                if (res.statusCode >= 200 && res.statusCode < 300) {
-                                    resolve(result);
-                                } else {
-                                    reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
-                                }
-                            } catch (error) {
-                                reject(error);
-                            }
-                        });
-                    });
-
-                    req.on('error', reject);
-                    req.on('timeout', () => {
-                        req.destroy();
-                        reject(new Error('Request timeout'));
-                    });
-                    
-                    if (data) req.write(JSON.stringify(data));
-                    req.end();
+        const threshold = this.notifiers.lidarrUnreachableAfter;
+        if (failure) {
+            this.lidarrFailedChecks++;
+            if (this.lidarrFailedChecks === threshold) {
+                await this.notify({
+                    event: 'lidarr_unreachable',
+                    title: 'roon2lidarr: Lidarr unreachable',
+                    text: `Lidarr at ${this.lidarrConfig.baseUrl} failed ${threshold} checks in a row: ${failure.message}`,
+                    data: { baseUrl: this.lidarrConfig.baseUrl, failedChecks: threshold, error: failure.message }
+                });
+            }
+        } else {
+            if (this.lidarrFailedChecks >= threshold) {
+                await this.notify({
+                    event: 'lidarr_recovered',
+                    title: 'roon2lidarr: Lidarr reachable again',
+                    text: `Lidarr at ${this.lidarrConfig.baseUrl} is back after ${this.lidarrFailedChecks} failed checks`,
+                    data: { baseUrl: this.lidarrConfig.baseUrl, failedChecks: this.lidarrFailedChecks }
                 });
-                
-                return result; // Success - return result
-                
-            } catch (error) {
-                console.error(`Lidarr request attempt ${attempt}/${retries} failed: ${error.message}`);
-                
-                if (attempt === retries) {
-                    // Last attempt failed - throw error
-                    throw new Error(`Lidarr request failed after ${retries} attempts: ${error.message}`);
-                }
-                
-                // Wait before retry with exponential backoff
-                const backoffMs = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
-                console.log(`Retrying in ${backoffMs}ms...`);
-                await this.delay(backoffMs);
             }
+            this.lidarrFailedChecks = 0;
         }
+        return this.lidarrAvailable;
     }
 
-    // Add Lidarr connectivity check
-    async testLidarrConnection() {
-        try {
-            await this.makeLidarrRequest('/system/status');
-            return true;
-        } catch (error) {
-            console.error(`Lidarr connection test failed: ${error.message}`);
-            return false;
+    // Send a notification to the configured notifiers (see lib/notifiers.js)
+    async notify(message) {
+        if (this.dryRun) {
+            message = { ...message, title: `[Dry run] ${message.title}` };
+        }
+        return this.notifiers.notify(message);
+    }
+
+    // Summary shown in Roon once a scan finishes
+    describeLastScan(lidarrConnected = true) {
+        let pending = 0;
+        let needsAttention = 0;
+        let noRelease = 0;
+        for (const entry of this.albumCache.values()) {
+            const state = this.getAlbumState(entry);
+            if (state === 'pending_musicbrainz' || state === 'pending_lidarr') pending++;
+            if (state === 'needs_attention') needsAttention++;
+            if (state === 'done' && entry.download?.status === 'no_release') noRelease++;
         }
+
+        let summary = `Last scan: ${this.lastScanNewCount} new, ${pending} pending retry`;
+        if (needsAttention > 0) summary += `, ${needsAttention} need attention`;
+        if (noRelease > 0) summary += `, ${noRelease} with no release found`;
+        return lidarrConnected ? summary : `${summary} - Lidarr unreachable`;
     }
 
-    // Enhanced checkForNewAlbums with better error handling
-    async checkForNewAlbums() {
+    // Enhanced checkForNewAlbums with better error handling. Runs a quick check for
+    // new albums, or a full reconciliation scan when `full` is set or one is needed.
+    // Resolves to false when the scan couldn't run, so the scheduler retries it.
+    async checkForNewAlbums({ full = false } = {}) {
         if (!this.core) {
             console.log('No Roon Core connected - waiting for connection...');
-            return;
+            return false;
         }
 
-        if (!this.isNewDay()) {
-            console.log('Already scanned today, skipping...');
-            return;
+        if (!this.canProcess()) {
+            return false;
+        }
+
+        if (this.scanInProgress) {
+            console.log('Scan already in progress, skipping...');
+            return false;
         }
 
-        console.log(`\n=== Scanning for new albums ===`);
+        const fullScan = full || this.needsFullScan();
+        const scanType = fullScan ? 'full' : 'quick';
+        const endTimer = this.metrics.scanDuration.startTimer({ type: scanType });
+        console.log(`\n=== ${fullScan ? 'Scanning library' : 'Checking'} for new albums ===`);
+        this.scanInProgress = true;
+        this.lastScanNewCount = 0;
+        this.dryRunReport?.begin(fullScan ? 'full-scan' : 'scan');
+        this.setStatus(fullScan ? 'Scanning library...' : 'Checking for new albums...');
         
         // Test Lidarr connection before starting scan
         const lidarrConnected = await this.testLidarrConnection();
         if (!lidarrConnected) {
             console.log('Lidarr not available - will scan Roon but skip Lidarr integration');
+            this.setStatus('Lidarr unreachable - scanning Roon only', true);
         }
         
         try {
-            await this.scanRoonLibrary();
-            this.lastCacheDate = new Date().toDateString();
+            if (fullScan) {
+                await this.scanRoonLibrary();
+            } else {
+                await this.quickScan();
+            }
             console.log('Scan completed successfully');
+            this.setStatus(this.describeLastScan(lidarrConnected), !lidarrConnected);
+            this.metrics.scans.inc({ type: scanType, result: 'success' });
+            return true;
             
         } catch (error) {
             if (error.message.includes('Roon Core')) {
@@ -921,125 +1590,430 @@ class RoonLidarrIntegration {
                 console.log('Waiting for Roon to reconnect...');
             } else {
                 console.error('Scan failed:', error.message);
-                console.log('Will retry on next hourly check');
+                console.log('Will retry on next check');
             }
-            // Don't set lastCacheDate so it will retry
+            this.setStatus(`Scan failed: ${error.message}`, true);
+            this.metrics.scans.inc({ type: scanType, result: 'failure' });
+            // lastFullScan is only set by a completed scan, so a failed one is retried
+            return false;
+        } finally {
+            endTimer();
+            this.scanInProgress = false;
+            await this.dryRunReport?.write();
         }
     }
 
-    // Enhanced addToLidarr with connection checking
-    async addToLidarr(mbData, albumInfo) {
+    // Lidarr must be configured and the cache loaded before anything touches either
+    canProcess() {
+        if (!this.isLidarrConfigured()) {
+            console.log('Lidarr not configured - skipping until settings are saved in Roon');
+            this.setStatus('Lidarr API key not set - open Settings to configure', true);
+            return false;
+        }
+
+        if (this.cacheLoadError) {
+            console.log('Album cache failed to load - not processing');
+            this.setStatus(`Album cache unreadable: ${this.cacheLoadError.message}`, true);
+            return false;
+        }
+
+        // Rather than add artists with the wrong root folder or profile
+        if (this.addPoliciesError) {
+            console.log('Add policies failed to load - not processing');
+            this.setStatus(this.addPoliciesError.message, true);
+            return false;
+        }
+
+        return true;
+    }
+
+    // Scheduled retry pass, independent of library scans
+    async runRetries() {
+        if (!this.canProcess()) {
+            return false;
+        }
+
+        this.dryRunReport?.begin('retry');
         try {
-            // Test connection before proceeding
-            const connected = await this.testLidarrConnection();
-            if (!connected) {
-                console.log(`  Lidarr unavailable, skipping integration for now`);
-                return;
+            const lidarrConnected = await this.testLidarrConnection();
+            await this.retryFailedLidarrAlbums();
+            this.setStatus(this.describeLastScan(lidarrConnected), !lidarrConnected);
+            return true;
+        } catch (error) {
+            console.error('Retry pass failed:', error.message);
+            this.setStatus(`Retry pass failed: ${error.message}`, true);
+            return false;
+        } finally {
+            await this.dryRunReport?.write();
+        }
+    }
+
+    // Scheduled download check: follow up on every album the integration had Lidarr
+    // search for, recording whether a release was grabbed, imported or failed, and
+    // search again for the ones still missing (see lib/download-tracker.js)
+    async checkDownloads() {
+        if (!this.canProcess()) {
+            return false;
+        }
+
+        const keys = [];
+        for (const [key, entry] of this.albumCache) {
+            if (entry.lidarrProcessed && !entry.removedAt && !entry.override?.ignore && isTracked(entry)) {
+                keys.push(key);
             }
+        }
+        if (keys.length === 0) return true;
 
-            // Check if artist exists
-            let artist = await this.getLidarrArtist(mbData.artistId);
-            
-            if (!artist) {
-                console.log(`  Adding artist to Lidarr: ${mbData.artistName}`);
-                artist = await this.addLidarrArtist(mbData.artistId, mbData.artistName);
-                if (!artist) throw new Error('Failed to add artist');
+        this.dryRunReport?.begin('downloads');
+        try {
+            if (!await this.testLidarrConnection()) {
+                console.log('Lidarr not available - skipping download check');
+                return false;
             }
 
-            // Check if album exists
-            const album = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
-            
-            if (album) {
-                // Check if album already has files
-                const hasFiles = this.albumHasFiles(album);
-                const isMonitored = album.monitored;
-                
-                console.log(`  Album exists in Lidarr: monitored=${isMonitored}, hasFiles=${hasFiles}`);
-                
-                if (hasFiles) {
-                    console.log(`  Album already has files, skipping download`);
-                    return; // Don't do anything if files already exist
-                }
-                
-                if (isMonitored) {
-                    console.log(`  Album already monitored but no files, triggering search`);
-                    await this.searchAlbum(album.id);
-                } else {
-                    console.log(`  Setting album to monitored and searching`);
-                    await this.setAlbumMonitoring(album.id, true);
-                    await this.searchAlbum(album.id);
-                }
-                
-            } else {
-                console.log(`  Refreshing artist to discover album`);
-                await this.refreshArtist(artist.id);
-                await this.delay(3000);
-                
-                const newAlbum = await this.getLidarrAlbum(artist.id, mbData.releaseGroupId);
-                if (newAlbum) {
-                    const hasFiles = this.albumHasFiles(newAlbum);
-                    
-                    if (hasFiles) {
-                        console.log(`  Discovered album already has files, skipping`);
-                    } else {
-                        console.log(`  Setting discovered album to monitored and searching`);
-                        await this.setAlbumMonitoring(newAlbum.id, true);
-                        await this.searchAlbum(newAlbum.id);
+            console.log(`\n=== Checking downloads for ${keys.length} albums ===`);
+            const queue = await this.lidarr.queue();
+            for (const key of keys) {
+                // One album Lidarr chokes on mustn't hold up the others - unless Lidarr went away
+                try {
+                    await this.checkDownload(key, queue);
+                } catch (error) {
+                    const entry = this.albumCache.get(key);
+                    console.error(`Download check for "${entry.title}" by ${entry.artist} failed: ${error.message}`);
+                    if (error instanceof LidarrUnavailableError && !await this.testLidarrConnection()) {
+                        throw error;
                     }
-                } else {
-                    console.log(`  Album not found after refresh`);
                 }
             }
-            
+            this.setStatus(this.describeLastScan());
+            return true;
         } catch (error) {
-            console.error(`  Lidarr integration failed: ${error.message}`);
-            console.log(`  Will retry this album on next scan cycle`);
-            // Don't throw - let other albums continue processing
+            console.error('Download check failed:', error.message);
+            this.setStatus(`Download check failed: ${error.message}`, true);
+            return false;
+        } finally {
+            await this.dryRunReport?.write();
         }
     }
 
-    async getLidarrArtist(musicBrainzId) {
-        const artists = await this.makeLidarrRequest('/artist');
-        return artists.find(a => a.foreignArtistId === musicBrainzId);
+    // Update one album's download record from Lidarr and search again if it's due.
+    // `queue` is Lidarr's whole download queue.
+    async checkDownload(key, queue) {
+        const entry = this.albumCache.get(key);
+        const { albumId, commandId, status: previous } = entry.download;
+        this.dryRunReport?.setAlbum(entry);
+
+        const album = await this.getIfExists(() => this.lidarr.getAlbumById(albumId));
+        // Lidarr forgets finished commands after a while
+        const command = album && commandId && previous === 'searching'
+            ? await this.getIfExists(() => this.lidarr.getCommand(commandId))
+            : null;
+        const history = album ? await this.lidarr.albumHistory(albumId) : [];
+
+        const { search } = observe(entry, {
+            album,
+            command,
+            queue: queue.filter(item => item.albumId === albumId),
+            history,
+            hasFiles: !!album && this.albumHasFiles(album)
+        }, this.downloadTracking);
+
+        const { download } = entry;
+        if (download.status !== previous) {
+            console.log(`"${entry.title}" by ${entry.artist}: ${previous} -> ${download.status}${download.error ? ` (${download.error})` : ''}`);
+        }
+
+        // Someone unmonitored it in Lidarr - keep watching, but don't search for it
+        if (search && album.monitored) {
+            console.log(`"${entry.title}" by ${entry.artist}: still missing, searching again (search ${download.searches + 1})`);
+            const searchCommand = await this.searchAlbum(albumId);
+            recordSearch(entry, searchCommand, this.downloadTracking);
+        }
+
+        await this.saveAlbum(key);
+        return entry;
     }
 
-    async addLidarrArtist(musicBrainzId, artistName) {
-        const artistData = {
-            foreignArtistId: musicBrainzId,
-            artistName,
-            monitored: true,
+    // Resolve to null instead of throwing when Lidarr answers 404
+    async getIfExists(request) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error instanceof LidarrNotFoundError) return null;
+            throw error;
+        }
+    }
+
+    // Apply an event from Lidarr's webhook connection to the albums it is about:
+    // matched by release group (foreignAlbumId), or for failure events, which only
+    // name the download, by the download ID recorded when it was grabbed.
+    // Resolves to the keys of the albums that were updated.
+    async handleLidarrEvent(payload) {
+        const albums = [...(payload.albums || []), payload.album].filter(Boolean);
+        const releaseGroupIds = new Set(albums.map(album => album.foreignAlbumId).filter(Boolean));
+
+        const updated = [];
+        for (const [key, entry] of this.albumCache) {
+            const matches = releaseGroupIds.has(entry.identity.releaseGroupId) ||
+                (!!payload.downloadId && entry.download?.downloadId === payload.downloadId);
+            if (!matches || !applyEvent(entry, payload)) continue;
+
+            console.log(`Lidarr ${payload.eventType}: "${entry.title}" by ${entry.artist} -> ${entry.download.status}`);
+            await this.saveAlbum(key);
+            updated.push(key);
+        }
+        return updated;
+    }
+
+    // Albums whose downloads are tracked, optionally only those with `status`
+    listDownloads(status = null) {
+        return this.listAlbums('done')
+            .filter(album => album.download && (!status || album.download.status === status));
+    }
+
+    // The add policy for an album: the Roon settings, overridden by the first rule
+    // matching the album or the genres Lidarr's metadata has for it and its artist,
+    // and restricted to the album alone in album-only mode
+    resolveAddPolicy(albumInfo, ...metadata) {
+        const defaults = {
+            monitor: this.settings.addMonitor,
             rootFolderPath: this.lidarrConfig.rootFolderPath,
             qualityProfileId: this.lidarrConfig.qualityProfileId,
             metadataProfileId: this.lidarrConfig.metadataProfileId,
-            addOptions: { searchForMissingAlbums: false }
+            searchForMissingAlbums: false,
+            monitorExistingArtist: false
+        };
+        const genres = metadata.flatMap(item => item?.genres || []);
+        const policy = this.addPolicies.resolve({ artist: albumInfo.artist, title: albumInfo.title, genres }, defaults);
+        if (policy.rule) {
+            console.log(`  Add policy: ${policy.rule}`);
+        }
+
+        // Album-only mode: whatever the rules say, nothing but the album itself gets monitored
+        if (this.settings.albumOnly) {
+            Object.assign(policy, { monitor: 'none', searchForMissingAlbums: false, monitorExistingArtist: false });
+        }
+        return policy;
+    }
+
+    // Existing artists are left as they are unless the policy asks to monitor them
+    async applyExistingArtistPolicy(artist, policy, changes) {
+        if (!policy.monitorExistingArtist || artist.monitored) return;
+
+        console.log(`  Monitoring existing artist ${artist.artistName}`);
+        const { monitorNewItems } = artistAddOptions(policy);
+        await this.setArtistMonitoring(artist.id, { monitored: true, monitorNewItems });
+        this.recordChange(changes, {
+            action: 'monitor_artist',
+            artistId: artist.id,
+            previous: { monitored: artist.monitored, monitorNewItems: artist.monitorNewItems }
+        });
+    }
+
+    async setArtistMonitoring(artistId, monitoring) {
+        if (this.dryRun) {
+            this.dryRunReport.record('setArtistMonitoring', { artistId, ...monitoring });
+            return;
+        }
+
+        const artist = await this.lidarr.get(`/artist/${artistId}`);
+        await this.lidarr.updateArtist({ ...artist, ...monitoring });
+    }
+
+    // Note a change made in Lidarr so it can be undone (nothing changes in a dry run)
+    recordChange(changes, change) {
+        if (this.dryRun) return;
+        changes.push({ at: new Date().toISOString(), ...change });
+    }
+
+    // Revert the Lidarr changes recorded for an album, newest first: albums and
+    // artists it monitored go back to how they were, and ones it added are
+    // unmonitored - or, with `remove`, deleted from Lidarr (never their files).
+    // The album is then ignored so the retry pass doesn't add it again. An artist
+    // it added stays while other albums sent to Lidarr belong to it; that change
+    // stays recorded so a later undo can take it back.
+    // Resolves to null if the album isn't cached.
+    async undoLidarrChanges(key, { remove = false } = {}) {
+        const entry = this.albumCache.get(key);
+        if (!entry) return null;
+
+        const changes = entry.lidarrChanges || [];
+        console.log(`Undoing ${changes.length} Lidarr changes for "${entry.title}" by ${entry.artist}`);
+        this.dryRunReport?.setAlbum(entry);
+
+        for (const change of [...changes].reverse()) {
+            if (change.action === 'add_artist') {
+                const others = this.albumsUnderArtist(change.foreignArtistId, key);
+                if (others.length > 0) {
+                    console.log(`  Keeping artist ${change.artistName || change.artistId}: ${others.length} other albums were sent to Lidarr under it`);
+                    continue;
+                }
+            }
+
+            try {
+                await this.undoChange(change, remove);
+            } catch (error) {
+                if (!(error instanceof LidarrNotFoundError)) throw error;
+                console.log(`  ${change.action} ${change.albumId ?? change.artistId}: already gone from Lidarr`);
+            }
+            if (!this.dryRun) {
+                entry.lidarrChanges = entry.lidarrChanges.filter(recorded => recorded !== change);
+            }
+        }
+
+        if (!this.dryRun) {
+            entry.lidarrProcessed = false;
+            entry.override = { ignore: true, at: new Date().toISOString() };
+            delete entry.download;
+        }
+        await this.saveAlbum(key);
+        return entry;
+    }
+
+    // Keys of the other albums sent to Lidarr (and not ignored) under the artist
+    albumsUnderArtist(foreignArtistId, exceptKey) {
+        const keys = [];
+        for (const [key, entry] of this.albumCache) {
+            if (key !== exceptKey && entry.identity.artistId === foreignArtistId &&
+                entry.lidarrProcessed && !entry.override?.ignore) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    // undoLidarrChanges on request, queued like queueAlbumRetry
+    queueLidarrUndo(key, options) {
+        return this.scheduler.exclusive(`undo of ${key}`, () => this.runForAlbum(() => this.undoLidarrChanges(key, options)));
+    }
+
+    async undoChange(change, remove) {
+        switch (change.action) {
+        case 'monitor_album':
+            await this.setAlbumMonitoring(change.albumId, change.previous);
+            break;
+        case 'monitor_artist':
+            await this.setArtistMonitoring(change.artistId, change.previous);
+            break;
+        case 'add_album':
+            if (remove) {
+                await this.deleteLidarrItem('album', change.albumId);
+            } else {
+                await this.setAlbumMonitoring(change.albumId, false);
+            }
+            break;
+        case 'add_artist':
+            if (remove) {
+                await this.deleteLidarrItem('artist', change.artistId);
+            } else {
+                await this.setArtistMonitoring(change.artistId, { monitored: false });
+            }
+            break;
+        default:
+            throw new Error(`Unknown Lidarr change "${change.action}"`);
+        }
+    }
+
+    // Remove an artist or album from Lidarr, keeping its files
+    async deleteLidarrItem(type, id) {
+        if (this.dryRun) {
+            this.dryRunReport.record('deleteLidarrItem', { type, id });
+            return;
+        }
+
+        await this.lidarr.delete(`/${type}/${id}?deleteFiles=false&addImportListExclusion=false`);
+    }
+
+    async addLidarrArtist(musicBrainzId, artistName, policy) {
+        const artistData = {
+            foreignArtistId: musicBrainzId,
+            artistName,
+            ...artistAddOptions(policy)
         };
 
-        return await this.makeLidarrRequest('/artist', 'POST', artistData);
+        if (this.dryRun) {
+            this.dryRunReport.record('addLidarrArtist', artistData);
+            return { id: null, foreignArtistId: musicBrainzId, artistName, dryRun: true };
+        }
+
+        return await this.lidarr.addArtist(artistData);
     }
 
-    async getLidarrAlbum(artistId, releaseGroupId) {
-        const albums = await this.makeLidarrRequest(`/album?artistId=${artistId}`);
-        return albums.find(a => a.foreignAlbumId === releaseGroupId);
+    // Add a looked-up album, monitored and searched for straight away. Without an
+    // existing `artist`, Lidarr adds the album's artist along with it, per `policy`.
+    async addLidarrAlbum(album, artist, policy) {
+        const albumData = {
+            ...album,
+            artistId: artist?.id || 0,
+            artist: artist || { ...album.artist, ...artistAddOptions(policy) },
+            monitored: true,
+            anyReleaseOk: true,
+            addOptions: { searchForNewAlbum: true }
+        };
+
+        if (this.dryRun) {
+            this.dryRunReport.record('addLidarrAlbum', {
+                foreignAlbumId: album.foreignAlbumId,
+                title: album.title,
+                artist: artist
+                    ? { id: artist.id }
+                    : { foreignArtistId: album.artist?.foreignArtistId, artistName: album.artist?.artistName, ...artistAddOptions(policy) },
+                addOptions: albumData.addOptions
+            });
+            return { id: null, foreignAlbumId: album.foreignAlbumId, dryRun: true };
+        }
+
+        return await this.lidarr.addAlbum(albumData);
     }
 
     async setAlbumMonitoring(albumId, monitored) {
-        const album = await this.makeLidarrRequest(`/album/${albumId}`);
+        if (this.dryRun) {
+            this.dryRunReport.record('setAlbumMonitoring', { albumId, monitored });
+            return;
+        }
+
+        const album = await this.lidarr.getAlbumById(albumId);
         album.monitored = monitored;
-        await this.makeLidarrRequest(`/album/${albumId}`, 'PUT', album);
+        await this.lidarr.updateAlbum(album);
     }
 
     async refreshArtist(artistId) {
-        await this.makeLidarrRequest('/command', 'POST', {
-            name: 'RefreshArtist',
-            artistId
-        });
+        if (this.dryRun) {
+            this.dryRunReport.record('refreshArtist', { artistId });
+            return;
+        }
+
+        const command = await this.lidarr.command('RefreshArtist', { artistId });
+        return this.waitForCommand(command);
+    }
+
+    // Poll a Lidarr command until it finishes; throws if it fails or runs too long
+    async waitForCommand(command, timeoutMs = COMMAND_TIMEOUT_MS) {
+        const deadline = Date.now() + timeoutMs;
+        let current = command;
+
+        while (!COMMAND_FINISHED.includes(current.status)) {
+            if (Date.now() > deadline) {
+                throw new Error(`${command.name} still ${current.status} after ${Math.round(timeoutMs / 60000)} minutes`);
+            }
+            await this.delay(COMMAND_POLL_MS);
+            current = await this.lidarr.getCommand(command.id);
+        }
+
+        if (current.status !== 'completed') {
+            throw new Error(`${command.name} ${current.status}${current.message ? `: ${current.message}` : ''}`);
+        }
+        return current;
     }
 
+    // Resolves to the AlbumSearch command, or null in a dry run
     async searchAlbum(albumId) {
-        await this.makeLidarrRequest('/command', 'POST', {
-            name: 'AlbumSearch',
-            albumIds: [albumId]
-        });
+        if (this.dryRun) {
+            this.dryRunReport.record('searchAlbum', { albumIds: [albumId] });
+            return null;
+        }
+
+        return await this.lidarr.command('AlbumSearch', { albumIds: [albumId] });
     }
 
     delay(ms) {
@@ -1047,20 +2021,38 @@ class RoonLidarrIntegration {
     }
 }
 
-// Initialize
-const integration = new RoonLidarrIntegration();
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('Shutting down...');
-    if (integration.roon) integration.roon.stop_discovery();
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    console.log('Shutting down...');
-    if (integration.roon) integration.roon.stop_discovery();
-    process.exit(0);
-});
+// Run as a service unless loaded by the CLI
+if (require.main === module) {
+    const integration = new RoonLidarrIntegration();
+    const server = startServer(integration, parseInt(process.env.PORT) || 3000);
+
+    // Manual triggers: `kill -USR1 <pid>` scans now, `kill -USR2 <pid>` runs the retry pass now
+    process.on('SIGUSR1', () => {
+        console.log('SIGUSR1 received - queueing full scan');
+        integration.scheduler.trigger('full-scan');
+    });
+
+    process.on('SIGUSR2', () => {
+        console.log('SIGUSR2 received - queueing retry pass');
+        integration.scheduler.trigger('retry');
+    });
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('Shutting down...');
+        if (integration.roon) integration.roon.stop_discovery();
+        integration.scheduler.stop();
+        server.close();
+        integration.storage.close().finally(() => process.exit(0));
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('Shutting down...');
+        if (integration.roon) integration.roon.stop_discovery();
+        integration.scheduler.stop();
+        server.close();
+        integration.storage.close().finally(() => process.exit(0));
+    });
+}
 
 module.exports = RoonLidarrIntegration;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+
+// How artists are added to Lidarr. The defaults come from the Roon settings;
+// rules from the optional policy file override them for matching albums:
+//
+//   {
+//     "rules": [
+//       { "name": "Classical", "genres": ["classical", "opera"],
+//         "rootFolderPath": "/music/classical", "qualityProfileId": 3 },
+//       { "name": "Favourites", "artist": "^(radiohead|björk)$",
+//         "monitor": "all", "monitorExistingArtist": true }
+//     ]
+//   }
+//
+// A rule matches when all of its conditions hold: `genres` (any of them, against
+// the genres Lidarr's metadata has for the album and artist), `artist` and
+// `title` (case-insensitive regular expressions against the Roon names). The
+// first matching rule wins and sets the fields it names.
+
+// Our monitor option -> Lidarr's addOptions.monitor and monitorNewItems
+const MONITOR_OPTIONS = {
+    none: { monitor: 'none', monitorNewItems: 'none' },         // only the albums we add
+    future: { monitor: 'future', monitorNewItems: 'all' },      // plus releases that come out later
+    existing: { monitor: 'existing', monitorNewItems: 'none' }, // plus everything already released
+    all: { monitor: 'all', monitorNewItems: 'all' }
+};
+
+const POLICY_FIELDS = {
+    monitor: value => typeof value === 'string' && value in MONITOR_OPTIONS,
+    rootFolderPath: value => typeof value === 'string' && value.length > 0,
+    qualityProfileId: value => Number.isInteger(value) && value > 0,
+    metadataProfileId: value => Number.isInteger(value) && value > 0,
+    searchForMissingAlbums: value => typeof value === 'boolean',
+    monitorExistingArtist: value => typeof value === 'boolean'
+};
+const CONDITIONS = ['genres', 'artist', 'title'];
+
+class AddPolicies {
+    constructor(rules = []) {
+        this.rules = rules.map(compileRule);
+    }
+
+    // Rules from `file`; a missing file means no rules, an invalid one throws
+    static async load(file) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return new AddPolicies();
+            throw new Error(`Could not read add policies ${file}: ${error.message}`);
+        }
+
+        if (!Array.isArray(data?.rules)) {
+            throw new Error(`Add policies ${file} must contain a "rules" array`);
+        }
+        try {
+            return new AddPolicies(data.rules);
+        } catch (error) {
+            throw new Error(`Add policies ${file}: ${error.message}`);
+        }
+    }
+
+    // The policy for `album` ({ artist, title, genres }), starting from `defaults`.
+    // `rule` names the rule that matched, or is null.
+    resolve(album, defaults) {
+        const genres = new Set((album.genres || []).map(genre => genre.toLowerCase()));
+        const rule = this.rules.find(rule =>
+            (!rule.genres || rule.genres.some(genre => genres.has(genre))) &&
+            (!rule.artist || rule.artist.test(album.artist || '')) &&
+            (!rule.title || rule.title.test(album.title || '')));
+
+        return { ...defaults, ...rule?.policy, rule: rule?.name || null };
+    }
+}
+
+function compileRule(rule, index) {
+    const name = rule?.name || `rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${name} is not an object`);
+    }
+    if (!CONDITIONS.some(condition => condition in rule)) {
+        throw new Error(`${name} has no conditions (${CONDITIONS.join(', ')})`);
+    }
+
+    const compiled = { name, genres: null, artist: null, title: null, policy: {} };
+
+    if ('genres' in rule) {
+        if (!Array.isArray(rule.genres) || rule.genres.some(genre => typeof genre !== 'string')) {
+            throw new Error(`${name}: "genres" must be a list of strings`);
+        }
+        compiled.genres = rule.genres.map(genre => genre.toLowerCase());
+    }
+    for (const condition of ['artist', 'title']) {
+        if (!(condition in rule)) continue;
+        try {
+            compiled[condition] = new RegExp(rule[condition], 'iu');
+        } catch (error) {
+            throw new Error(`${name}: invalid "${condition}" pattern: ${error.message}`);
+        }
+    }
+
+    for (const [field, valid] of Object.entries(POLICY_FIELDS)) {
+        if (!(field in rule)) continue;
+        if (!valid(rule[field])) {
+            throw new Error(`${name}: invalid "${field}" ${JSON.stringify(rule[field])}`);
+        }
+        compiled.policy[field] = rule[field];
+    }
+
+    return compiled;
+}
+
+// Fields for adding an artist to Lidarr under `policy`
+function artistAddOptions(policy) {
+    const { monitor, monitorNewItems } = MONITOR_OPTIONS[policy.monitor] || MONITOR_OPTIONS.none;
+    return {
+        monitored: true,
+        monitorNewItems,
+        rootFolderPath: policy.rootFolderPath,
+        qualityProfileId: policy.qualityProfileId,
+        metadataProfileId: policy.metadataProfileId,
+        addOptions: { monitor, searchForMissingAlbums: !!policy.searchForMissingAlbums }
+    };
+}
+
+module.exports = { AddPolicies, MONITOR_OPTIONS, artistAddOptions };
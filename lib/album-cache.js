@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+
+// Bump when the on-disk shape of cache entries changes, and add a step to migrateCache
+const CACHE_VERSION = 2;
+
+// Normalization used for album identity only. Keys are derived from it, so it
+// must stay stable even when the matching normalization is tuned.
+function normalizeIdentityPart(str) {
+    if (!str) return '';
+    const normalized = str
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')          // Drop combining marks (diacritics)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ') // Punctuation and symbols become separators
+        .trim();
+
+    // Titles made only of punctuation ("...", "!!!") still need a distinct identity
+    return normalized || str.trim().toLowerCase();
+}
+
+// Stable cache key for an album: a hash of the normalized artist and title, so
+// separators or odd characters in either can never break key parsing
+function albumKey(artist, title) {
+    return crypto
+        .createHash('sha1')
+        .update(`${normalizeIdentityPart(artist)}\n${normalizeIdentityPart(title)}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Fingerprint of a set of album keys. Any album added, removed or renamed changes
+// it, whatever order Roon listed the albums in.
+function libraryFingerprint(keys) {
+    return crypto
+        .createHash('sha1')
+        .update(Array.from(keys).sort().join('\n'))
+        .digest('hex');
+}
+
+function createIdentity({ artist, title, imageKey = null, releaseGroupId = null, artistId = null }) {
+    return {
+        artist: normalizeIdentityPart(artist),
+        title: normalizeIdentityPart(title),
+        imageKey,
+        releaseGroupId,
+        artistId
+    };
+}
+
+// A fresh cache entry for an album seen in Roon
+function createAlbumEntry(album, fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        artist: album.artist,
+        title: album.title,
+        identity: createIdentity(album),
+        dateFound: now,
+        lastSeen: now,
+        removedAt: null,
+        initialCacheEntry: false,
+        lidarrProcessed: false,
+        ...fields
+    };
+}
+
+// Upgrade a parsed cache file to the current version. Returns { albums: Map, lastCacheDate, migrated }.
+function migrateCache(data) {
+    let version = data.version || 1;
+    let albums = data.albums || [];
+    const startVersion = version;
+
+    if (version === 1) {
+        albums = migrateV1Albums(albums);
+        version = 2;
+    }
+
+    if (version !== CACHE_VERSION) {
+        throw new Error(`Unsupported cache version ${data.version} (expected <= ${CACHE_VERSION})`);
+    }
+
+    return {
+        albums: new Map(albums),
+        lastCacheDate: data.lastCacheDate || null,
+        migrated: startVersion !== version
+    };
+}
+
+// v1 keyed entries on "artist|title" and kept the MBIDs at the top level
+function migrateV1Albums(albums) {
+    const migrated = new Map();
+
+    for (const [oldKey, entry] of albums) {
+        const separator = oldKey.indexOf('|');
+        const artist = separator === -1 ? 'Unknown' : oldKey.slice(0, separator);
+        const title = separator === -1 ? oldKey : oldKey.slice(separator + 1);
+        const key = albumKey(artist, title);
+
+        if (migrated.has(key)) {
+            console.log(`Cache migration: "${oldKey}" duplicates an existing album, keeping the first entry`);
+            continue;
+        }
+
+        migrated.set(key, {
+            artist,
+            title,
+            identity: createIdentity({
+                artist,
+                title,
+                releaseGroupId: entry.musicBrainzId || null,
+                artistId: entry.artistId || null
+            }),
+            dateFound: entry.dateFound || null,
+            lastSeen: null,
+            removedAt: null,
+            initialCacheEntry: !!entry.initialCacheEntry,
+            lidarrProcessed: !!entry.lidarrProcessed,
+            ...(entry.lastRetry && { lastRetry: entry.lastRetry })
+        });
+    }
+
+    return Array.from(migrated.entries());
+}
+
+module.exports = {
+    CACHE_VERSION,
+    normalizeIdentityPart,
+    albumKey,
+    libraryFingerprint,
+    createIdentity,
+    createAlbumEntry,
+    migrateCache
+};
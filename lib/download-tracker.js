@@ -0,0 +1,198 @@
+// What happened after Lidarr was asked to search for an album. Each album the
+// integration sent to Lidarr gets a `download` record on its cache entry:
+//
+//   searching   search triggered, nothing grabbed yet
+//   grabbed     a release was grabbed and is downloading or waiting for import
+//   failed      the download or import failed - searched again after a while
+//   no_release  `stuckAfter` searches in a row found nothing to grab - still searched again
+//   imported    the album has files in Lidarr; tracking stops
+//   gone        the album was removed from Lidarr; tracking stops
+//
+// observe() updates the record from what Lidarr reports (album, search command,
+// queue and history) and says whether the search should run again. Making the
+// requests and running the search is left to the caller. applyEvent() does the
+// same for an event pushed by Lidarr's webhook, so an import is known right away.
+
+const HOUR = 60 * 60 * 1000;
+const ACTIVE_STATUSES = ['searching', 'grabbed', 'failed', 'no_release'];
+const DOWNLOAD_STATUSES = [...ACTIVE_STATUSES, 'imported', 'gone'];
+const COMMAND_FINISHED = ['completed', 'failed', 'aborted', 'cancelled', 'orphaned'];
+
+const GRAB_EVENTS = ['grabbed'];
+const IMPORT_EVENTS = ['downloadImported', 'trackFileImported'];
+const FAILURE_EVENTS = ['downloadFailed', 'albumImportIncomplete', 'importFailed'];
+
+// Lidarr webhook event type -> the status it moves a tracked album to
+const WEBHOOK_EVENTS = {
+    Grab: 'grabbed',
+    Download: 'imported',
+    AlbumDownload: 'imported',
+    ImportFailure: 'failed',
+    DownloadFailure: 'failed'
+};
+
+const DEFAULT_OPTIONS = {
+    researchHours: 24,
+    stuckAfter: 3
+};
+
+function isTracked(entry) {
+    return ACTIVE_STATUSES.includes(entry.download?.status);
+}
+
+// Start tracking after addToLidarr. `outcome` is { albumId, commandId?, hasFiles? };
+// an album added with searchForNewAlbum has no command of its own to watch.
+function startTracking(entry, outcome, options = DEFAULT_OPTIONS, now = new Date()) {
+    const hasFiles = !!outcome.hasFiles;
+    entry.download = {
+        status: hasFiles ? 'imported' : 'searching',
+        albumId: outcome.albumId,
+        commandId: outcome.commandId || null,
+        searches: hasFiles ? 0 : 1,
+        // Searches since something was last grabbed
+        ungrabbedSearches: hasFiles ? 0 : 1,
+        startedAt: now.toISOString(),
+        lastSearch: hasFiles ? null : now.toISOString(),
+        nextSearch: hasFiles ? null : new Date(now.getTime() + options.researchHours * HOUR).toISOString(),
+        lastChecked: null,
+        releaseTitle: null,
+        downloadId: null,
+        error: null,
+        importedAt: hasFiles ? now.toISOString() : null
+    };
+    return entry.download;
+}
+
+// Update the record from Lidarr's view of the album:
+//   album    the Lidarr album, or null if it no longer exists
+//   command  the search command, or null if unknown or purged
+//   queue    queue items for the album
+//   history  history records for the album
+//   hasFiles whether the album has files
+// Returns { search: true } when it's time to search again.
+function observe(entry, { album, command = null, queue = [], history = [], hasFiles = false }, options = DEFAULT_OPTIONS, now = new Date()) {
+    const download = entry.download;
+    download.lastChecked = now.toISOString();
+
+    if (!album) {
+        download.status = 'gone';
+        download.error = 'Album is no longer in Lidarr';
+        return { search: false };
+    }
+
+    if (hasFiles) {
+        download.status = 'imported';
+        download.importedAt = download.importedAt || now.toISOString();
+        download.error = null;
+        return { search: false };
+    }
+
+    // Give a running search time to finish before judging it
+    if (command && !COMMAND_FINISHED.includes(command.status)) {
+        return { search: false };
+    }
+    if (command && command.status !== 'completed') {
+        download.error = `Search ${command.status}${command.message ? `: ${command.message}` : ''}`;
+    }
+
+    if (queue.length > 0) {
+        const item = queue[0];
+        download.status = 'grabbed';
+        download.ungrabbedSearches = 0;
+        download.releaseTitle = item.title || download.releaseTitle;
+        download.error = queueError(item);
+        return { search: false };
+    }
+
+    // Only events since the latest search tell us how it went
+    const since = new Date(download.lastSearch || download.startedAt).getTime();
+    const latest = history
+        .filter(event => new Date(event.date).getTime() >= since)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .at(-1);
+
+    if (latest && GRAB_EVENTS.includes(latest.eventType)) {
+        download.releaseTitle = latest.sourceTitle || download.releaseTitle;
+        download.ungrabbedSearches = 0;
+        // Grabbed, out of the queue and never imported: the download went missing
+        if (now - new Date(latest.date) < options.researchHours * HOUR) {
+            download.status = 'grabbed';
+            return { search: false };
+        }
+        download.status = 'failed';
+        download.error = 'Grabbed release left the queue without being imported';
+    } else if (latest && IMPORT_EVENTS.includes(latest.eventType)) {
+        // Imported, but Lidarr counts no files yet - check again next time
+        download.status = 'grabbed';
+        return { search: false };
+    } else if (latest && FAILURE_EVENTS.includes(latest.eventType)) {
+        download.status = 'failed';
+        download.ungrabbedSearches = 0;
+        download.releaseTitle = latest.sourceTitle || download.releaseTitle;
+        download.error = latest.data?.message || latest.eventType;
+    } else if (download.status !== 'failed') {
+        download.status = download.ungrabbedSearches >= options.stuckAfter ? 'no_release' : 'searching';
+    }
+
+    const due = !download.nextSearch || new Date(download.nextSearch) <= now;
+    return { search: due };
+}
+
+// Update the record from a Lidarr webhook payload for the entry's album. Events
+// for albums no longer tracked - e.g. an upgrade of an imported album - are
+// ignored. Returns whether the record changed.
+function applyEvent(entry, payload, now = new Date()) {
+    const download = entry.download;
+    const status = WEBHOOK_EVENTS[payload.eventType];
+    if (!status || !isTracked(entry)) return false;
+
+    download.status = status;
+    download.lastEvent = { type: payload.eventType, at: now.toISOString() };
+    // Failure events only name the download, so remember it from the grab
+    download.downloadId = payload.downloadId || download.downloadId;
+    download.releaseTitle = payload.release?.releaseTitle || payload.releaseTitle || download.releaseTitle;
+
+    if (status === 'grabbed') {
+        download.ungrabbedSearches = 0;
+        download.error = null;
+    } else if (status === 'imported') {
+        download.importedAt = now.toISOString();
+        download.error = null;
+    } else {
+        download.error = payload.message || payload.eventType;
+    }
+    return true;
+}
+
+// Record a search the caller ran after observe() asked for it
+function recordSearch(entry, command, options = DEFAULT_OPTIONS, now = new Date()) {
+    const download = entry.download;
+    download.commandId = command?.id || null;
+    download.searches++;
+    download.ungrabbedSearches++;
+    download.lastSearch = now.toISOString();
+    download.nextSearch = new Date(now.getTime() + options.researchHours * HOUR).toISOString();
+    // A failed download is behind us once the new search is out
+    if (download.status === 'failed') {
+        download.status = 'searching';
+        download.error = null;
+    }
+    return download;
+}
+
+function queueError(item) {
+    const messages = (item.statusMessages || []).flatMap(status => status.messages || []);
+    if (item.errorMessage) messages.unshift(item.errorMessage);
+    return messages.length > 0 ? messages.join('; ') : null;
+}
+
+module.exports = {
+    ACTIVE_STATUSES,
+    DOWNLOAD_STATUSES,
+    DEFAULT_OPTIONS,
+    isTracked,
+    startTracking,
+    observe,
+    applyEvent,
+    recordSearch
+};
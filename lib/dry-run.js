@@ -0,0 +1,62 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Collects the Lidarr changes a dry run would have made and writes them to a
+// JSON report at the end of each scan, retry pass or download check. Each kind
+// of run has its own report next to `file` (dry-run-report.json ->
+// dry-run-report.full-scan.json), so the hourly quick check can't replace the
+// full scan's report before anyone has read it.
+class DryRunReport {
+    constructor(file) {
+        this.file = file;
+        this.run = null;
+        this.startedAt = null;
+        this.album = null;
+        this.calls = [];
+    }
+
+    begin(run) {
+        this.run = run;
+        this.startedAt = new Date().toISOString();
+        this.album = null;
+        this.calls = [];
+    }
+
+    // Album the following calls belong to
+    setAlbum(album) {
+        this.album = album;
+    }
+
+    record(call, args) {
+        const album = this.album && { artist: this.album.artist, title: this.album.title };
+        console.log(`  [dry run] Would call ${call} ${JSON.stringify(args)}`);
+        this.calls.push({ call, album, args });
+    }
+
+    // Report file for the current run
+    runFile() {
+        const { dir, name, ext } = path.parse(this.file);
+        return path.join(dir, `${name}.${this.run}${ext}`);
+    }
+
+    async write() {
+        const report = {
+            run: this.run,
+            startedAt: this.startedAt,
+            finishedAt: new Date().toISOString(),
+            albums: new Set(this.calls.filter(entry => entry.album)
+                .map(entry => `${entry.album.artist}\n${entry.album.title}`)).size,
+            calls: this.calls
+        };
+
+        const file = this.runFile();
+        try {
+            await fs.writeFile(file, JSON.stringify(report, null, 2));
+            console.log(`Dry run: ${this.calls.length} Lidarr calls skipped, report written to ${file}`);
+        } catch (error) {
+            console.error(`Could not write dry-run report ${file}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { DryRunReport };
@@ -0,0 +1,299 @@
+const https = require('https');
+const http = require('http');
+
+// Lidarr API v1 client. Requests go to `<baseUrl>/api/v1/...`, so a Lidarr
+// behind a reverse proxy with a URL base (https://host/lidarr) works as is.
+//
+// Errors are typed so callers can tell a bad API key from a rejected request
+// from Lidarr being down, and each carries the retry-policy failure class it
+// maps to. Only LidarrUnavailableError is retried here, and only for requests
+// that are safe to repeat - a POST that timed out may still have gone through.
+//
+// Artists and albums are kept in an in-memory index keyed by MusicBrainz ID.
+// It is loaded on first use and dropped by invalidate(), which the integration
+// calls at the start of each scan or retry pass.
+//
+// `onRequest({ method, endpoint, status })` is called once per HTTP attempt,
+// with the response status or 'error' when there was no response.
+
+class LidarrError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LidarrError';
+        this.status = status;
+        this.failureClass = 'lidarr_error';
+    }
+}
+
+// 401/403: wrong API key
+class LidarrAuthError extends LidarrError {
+    constructor(message, status) {
+        super(message, status);
+        this.name = 'LidarrAuthError';
+        this.failureClass = 'lidarr_unavailable';
+    }
+}
+
+// 400/409/422: Lidarr refused the request. `errors` holds its validation failures.
+class LidarrValidationError extends LidarrError {
+    constructor(message, status, errors = []) {
+        super(message, status);
+        this.name = 'LidarrValidationError';
+        this.errors = errors;
+    }
+}
+
+class LidarrNotFoundError extends LidarrError {
+    constructor(message, status = 404) {
+        super(message, status);
+        this.name = 'LidarrNotFoundError';
+    }
+}
+
+// Network errors, timeouts and 5xx responses
+class LidarrUnavailableError extends LidarrError {
+    constructor(message, status = null) {
+        super(message, status);
+        this.name = 'LidarrUnavailableError';
+        this.failureClass = 'lidarr_unavailable';
+    }
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+class LidarrClient {
+    constructor({ baseUrl, apiKey, timeout = 10000, retries = 3, onRequest = () => {} } = {}) {
+        // Accept the URL with or without a trailing slash or pasted /api/v1
+        this.baseUrl = String(baseUrl || '').replace(/\/+$/, '').replace(/\/api\/v1$/, '');
+        this.apiKey = apiKey;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.onRequest = onRequest;
+        this.invalidate();
+    }
+
+    // Forget the artist and album index; the next lookup reloads it from Lidarr
+    invalidate() {
+        this.artists = null;
+        this.albums = null;
+    }
+
+    get(endpoint) {
+        return this.request('GET', endpoint);
+    }
+
+    post(endpoint, data) {
+        return this.request('POST', endpoint, data);
+    }
+
+    put(endpoint, data) {
+        return this.request('PUT', endpoint, data);
+    }
+
+    async delete(endpoint) {
+        await this.request('DELETE', endpoint);
+        // Whatever it was, the index no longer matches Lidarr
+        this.invalidate();
+    }
+
+    async request(method, endpoint, data = null) {
+        const url = new URL(`${this.baseUrl}/api/v1${endpoint}`);
+        const attempts = IDEMPOTENT_METHODS.includes(method) ? this.retries : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.send(method, url, data, endpoint);
+            } catch (error) {
+                if (!(error instanceof LidarrUnavailableError) || attempt >= attempts) {
+                    throw error;
+                }
+
+                const backoffMs = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+                console.error(`Lidarr request attempt ${attempt}/${attempts} failed: ${error.message} - retrying in ${backoffMs}ms`);
+                await sleep(backoffMs);
+            }
+        }
+    }
+
+    send(method, url, data, endpoint = url.pathname) {
+        const httpModule = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = httpModule.request(url, {
+                method,
+                headers: {
+                    'X-Api-Key': this.apiKey,
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                }
+            }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => body += chunk);
+                res.on('end', () => {
+                    this.onRequest({ method, endpoint, status: res.statusCode });
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        try {
+                            resolve(body ? JSON.parse(body) : null);
+                        } catch (error) {
+                            reject(new LidarrError(`Lidarr returned invalid JSON: ${error.message}`, res.statusCode));
+                        }
+                        return;
+                    }
+                    reject(responseError(method, url, res.statusCode, body));
+                });
+                res.on('error', error => reject(new LidarrUnavailableError(`Lidarr request failed: ${error.message}`)));
+            });
+
+            req.on('error', error => {
+                this.onRequest({ method, endpoint, status: 'error' });
+                reject(new LidarrUnavailableError(`Lidarr request failed: ${error.message}`));
+            });
+            req.setTimeout(this.timeout, () => {
+                req.destroy(new Error('request timed out'));
+            });
+
+            if (data) req.write(JSON.stringify(data));
+            req.end();
+        });
+    }
+
+    status() {
+        return this.get('/system/status');
+    }
+
+    async artistIndex() {
+        if (!this.artists) {
+            const artists = await this.get('/artist');
+            this.artists = new Map(artists.map(artist => [artist.foreignArtistId, artist]));
+        }
+        return this.artists;
+    }
+
+    // Lidarr artist for a MusicBrainz artist ID, or null
+    async getArtist(foreignArtistId) {
+        return (await this.artistIndex()).get(foreignArtistId) || null;
+    }
+
+    async getArtistById(artistId) {
+        for (const artist of (await this.artistIndex()).values()) {
+            if (artist.id === artistId) return artist;
+        }
+        return null;
+    }
+
+    // Lidarr album for a MusicBrainz release group ID, whichever artist it is filed under, or null
+    async getAlbum(foreignAlbumId) {
+        if (!this.albums) {
+            const albums = await this.get('/album');
+            this.albums = new Map(albums.map(album => [album.foreignAlbumId, album]));
+        }
+        return this.albums.get(foreignAlbumId) || null;
+    }
+
+    // Re-read one artist's albums, e.g. after a refresh discovered new ones
+    async reloadArtistAlbums(artistId) {
+        const albums = await this.get(`/album?artistId=${encodeURIComponent(artistId)}`);
+        if (this.albums) {
+            for (const album of albums) {
+                this.albums.set(album.foreignAlbumId, album);
+            }
+        }
+        return albums;
+    }
+
+    // Release groups Lidarr's metadata server knows, without adding anything
+    async lookupAlbum(foreignAlbumId) {
+        return await this.get(`/album/lookup?term=${encodeURIComponent(`lidarr:${foreignAlbumId}`)}`) || [];
+    }
+
+    async lookupArtist(foreignArtistId) {
+        return await this.get(`/artist/lookup?term=${encodeURIComponent(`lidarr:${foreignArtistId}`)}`) || [];
+    }
+
+    async addArtist(artistData) {
+        const artist = await this.post('/artist', artistData);
+        this.artists?.set(artist.foreignArtistId, artist);
+        return artist;
+    }
+
+    async addAlbum(albumData) {
+        const album = await this.post('/album', albumData);
+        this.albums?.set(album.foreignAlbumId, album);
+        if (album.artist) {
+            this.artists?.set(album.artist.foreignArtistId, album.artist);
+        }
+        return album;
+    }
+
+    async updateAlbum(album) {
+        const updated = await this.put(`/album/${album.id}`, album);
+        this.albums?.set(updated.foreignAlbumId, updated);
+        return updated;
+    }
+
+    async updateArtist(artist) {
+        const updated = await this.put(`/artist/${artist.id}`, artist);
+        this.artists?.set(updated.foreignArtistId, updated);
+        return updated;
+    }
+
+    getAlbumById(albumId) {
+        return this.get(`/album/${albumId}`);
+    }
+
+    command(name, body = {}) {
+        return this.post('/command', { name, ...body });
+    }
+
+    getCommand(commandId) {
+        return this.get(`/command/${commandId}`);
+    }
+
+    // Everything downloading or waiting for import, one item per release
+    async queue() {
+        return await this.get('/queue/details') || [];
+    }
+
+    // Grab, import and failure events for an album, newest first. /history is
+    // paged; the latest page is plenty to judge the latest search.
+    async albumHistory(albumId, pageSize = 50) {
+        const page = await this.get(`/history?albumId=${encodeURIComponent(albumId)}&page=1&pageSize=${pageSize}&sortKey=date&sortDirection=descending`);
+        return page?.records || [];
+    }
+}
+
+// Turn a non-2xx response into the matching error type, with Lidarr's own message
+function responseError(method, url, status, body) {
+    let parsed = null;
+    try {
+        parsed = body ? JSON.parse(body) : null;
+    } catch (error) {
+        // Not JSON - use the raw body
+    }
+
+    const errors = Array.isArray(parsed) ? parsed : [];
+    const detail = errors.length > 0
+        ? errors.map(error => error.errorMessage).filter(Boolean).join('; ')
+        : parsed?.message || body.slice(0, 200);
+    const message = `Lidarr ${method} ${url.pathname} returned HTTP ${status}${detail ? `: ${detail}` : ''}`;
+
+    if (status === 401 || status === 403) return new LidarrAuthError(message, status);
+    if (status === 404) return new LidarrNotFoundError(message, status);
+    if (status === 400 || status === 409 || status === 422) return new LidarrValidationError(message, status, errors);
+    if (status >= 500 || status === 429) return new LidarrUnavailableError(message, status);
+    return new LidarrError(message, status);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    LidarrClient,
+    LidarrError,
+    LidarrAuthError,
+    LidarrValidationError,
+    LidarrNotFoundError,
+    LidarrUnavailableError
+};
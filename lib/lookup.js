@@ -0,0 +1,108 @@
+const { stripEdition, splitArtists, isVariousArtists } = require('./matching');
+
+// MusicBrainz lookup strategies, tried in order until one finds a confident
+// match. Each takes the album ({ title, artist, trackCount? }) and a
+// MusicBrainzClient and resolves to release-shaped results for rankReleases -
+// release groups are wrapped so they score the same way.
+
+// Proper Lucene special character escaping for MusicBrainz
+function escapeLucene(term) {
+    return term.replace(/[+\-&|!(){}\[\]^"~*?:\\\/]/g, '\\$&');
+}
+
+// A release group dressed up as a release: no status or track count, but the
+// first release date and the release group's types
+function fromReleaseGroup(releaseGroup, artist = null) {
+    return {
+        title: releaseGroup.title,
+        date: releaseGroup['first-release-date'] || null,
+        status: 'Official',
+        'artist-credit': releaseGroup['artist-credit'] || (artist ? [{ name: artist.name, artist }] : []),
+        'release-group': {
+            id: releaseGroup.id,
+            'primary-type': releaseGroup['primary-type'],
+            'secondary-types': releaseGroup['secondary-types'] || []
+        }
+    };
+}
+
+// MusicBrainz browse requests return at most 100 results per page. Browsing stops
+// after this many pages, so an artist with thousands of release groups (the
+// great composers) can't hold up a lookup for minutes at one request a second.
+const BROWSE_PAGE_SIZE = 100;
+const MAX_BROWSE_PAGES = 10;
+
+// Every release group of `artist`, page by page up to MAX_BROWSE_PAGES
+async function browseReleaseGroups(client, artist) {
+    const releaseGroups = [];
+    for (let page = 0; page < MAX_BROWSE_PAGES; page++) {
+        const browse = await client.get('release-group', {
+            artist: artist.id,
+            limit: BROWSE_PAGE_SIZE,
+            offset: page * BROWSE_PAGE_SIZE,
+            inc: 'artist-credits'
+        });
+        const found = browse?.['release-groups'] || [];
+        releaseGroups.push(...found);
+        if (found.length < BROWSE_PAGE_SIZE || releaseGroups.length >= (browse['release-group-count'] ?? Infinity)) {
+            break;
+        }
+    }
+    return releaseGroups;
+}
+
+const LOOKUP_STRATEGIES = [
+    {
+        name: 'release-search',
+        applies: () => true,
+        async search(client, album) {
+            const query = `release:${escapeLucene(album.title)} AND artist:${escapeLucene(album.artist)}`;
+            const result = await client.get('release', { query, limit: 25, inc: 'release-groups' });
+            return result?.releases || [];
+        }
+    },
+    {
+        name: 'release-group-search',
+        applies: () => true,
+        async search(client, album) {
+            const query = `releasegroup:${escapeLucene(album.title)} AND artist:${escapeLucene(album.artist)}`;
+            const result = await client.get('release-group', { query, limit: 25 });
+            return (result?.['release-groups'] || []).map(releaseGroup => fromReleaseGroup(releaseGroup));
+        }
+    },
+    {
+        // Finds albums whose title MusicBrainz spells differently, via the artist's
+        // discography. Collaborations also search each collaborator; Various Artists
+        // has far too many release groups to browse.
+        name: 'artist-browse',
+        applies: (album) => !isVariousArtists(album.artist),
+        async search(client, album) {
+            const names = Array.from(new Set([album.artist, ...splitArtists(album.artist)]));
+            const query = names.map(name => {
+                const escaped = escapeLucene(name);
+                return `artist:(${escaped}) OR alias:(${escaped})`;
+            }).join(' OR ');
+            const artists = await client.get('artist', { query, limit: 5 });
+            const releases = [];
+
+            for (const artist of (artists?.artists || []).filter(artist => artist.score >= 80).slice(0, 2)) {
+                for (const releaseGroup of await browseReleaseGroups(client, artist)) {
+                    releases.push(fromReleaseGroup(releaseGroup, artist));
+                }
+            }
+            return releases;
+        }
+    },
+    {
+        name: 'edition-stripped-search',
+        applies: (album) => stripEdition(album.title) !== album.title && !!stripEdition(album.title),
+        async search(client, album) {
+            const title = stripEdition(album.title);
+            const query = `release:${escapeLucene(title)} AND artist:${escapeLucene(album.artist)}`;
+            const result = await client.get('release', { query, limit: 25, inc: 'release-groups' });
+            return result?.releases || [];
+        }
+    }
+];
+
+module.exports = { LOOKUP_STRATEGIES, MAX_BROWSE_PAGES, escapeLucene };
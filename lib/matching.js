@@ -0,0 +1,411 @@
+// Scores MusicBrainz releases against an album seen in Roon. Each release gets a
+// confidence between 0 and 1 built from the title, every artist credit and the
+// track count (when Roon told us that), scaled down for release types and
+// statuses that are rarely what a library album is. Roon's browse API has no
+// release year or duration, so neither is compared.
+
+const WEIGHTS = {
+    title: 0.45,
+    artist: 0.35,
+    tracks: 0.1
+};
+
+const PRIMARY_TYPE_FACTORS = {
+    Album: 1,
+    EP: 0.8,
+    Single: 0.6,
+    Broadcast: 0.6,
+    Other: 0.6
+};
+
+// Secondary types only count against a release when the Roon title doesn't hint at them
+const SECONDARY_TYPE_HINTS = {
+    Compilation: /\b(best of|greatest hits|collection|anthology|essential|hits)\b/,
+    Live: /\b(live|concert|unplugged)\b/,
+    Remix: /\b(remix|remixes|remixed)\b/,
+    'DJ-mix': /\b(dj mix|mixed by)\b/,
+    Soundtrack: /\b(soundtrack|ost|score)\b/,
+    Demo: /\bdemos?\b/,
+    Mixtape: /\bmixtape\b/,
+    Interview: /\binterviews?\b/,
+    Spokenword: /\bspoken\b/,
+    Audiobook: /\baudiobook\b/
+};
+const SECONDARY_TYPE_FACTOR = 0.7;
+
+const STATUS_FACTORS = {
+    Official: 1,
+    Promotion: 0.85,
+    'Pseudo-Release': 0.8,
+    Bootleg: 0.5
+};
+
+// Tuned for the title, artist and track count signals: another album by the
+// same artist scores up to about 0.57, the right title under the wrong artist
+// 0.6 and up, and the right title and artist 0.85 and up
+const DEFAULT_THRESHOLDS = {
+    accept: 0.8,
+    review: 0.6
+};
+
+// MusicBrainz' special purpose artist that compilations are credited to
+const VARIOUS_ARTISTS_MBID = '89ad4ac3-39f7-470e-963a-56509c546377';
+// Normalized names Roon and taggers use for it
+const VARIOUS_ARTISTS_NAMES = new Set([
+    'various artists', 'various', 'va', 'v a', 'verschiedene interpreten', 'artistes divers',
+    'varios artistas', 'artisti vari', 'diverse artiesten'
+]);
+
+// Separators between collaborating artists: "A & B", "A / B", "A feat. B", "A x B"
+const ARTIST_SEPARATORS = /\s*(?:[\/;&+,]|\b(?:and|with|x|vs\.?|feat\.?|featuring|ft\.)(?=\s))\s*/iu;
+// A join phrase after which the remaining credits are guests, not main artists
+const FEATURING = /\b(feat|featuring|ft)\b/i;
+// How close a credit must be to the whole Roon artist, or to one collaborator,
+// to be picked as the lead. The whole name needs more than containment, or
+// "A / B" would pick whichever of A and B is credited first.
+const LEAD_ARTIST_SIMILARITY = { whole: 0.9, part: 0.8 };
+
+// Letters NFKD doesn't decompose into a base letter plus a combining mark
+const FOLDED_LETTERS = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i'
+};
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+const EDITION_WORDS = 'deluxe|edition|remaster|remastered|expanded|anniversary|bonus|reissue|special|' +
+    'collector\'?s|legacy|mono|stereo|version|super|limited';
+// "(Deluxe Edition)", "[Remastered 2011]"
+const BRACKETED_EDITION = new RegExp(`\\s*[([][^)\\]]*\\b(${EDITION_WORDS})\\b[^)\\]]*[)\\]]`, 'giu');
+// "Title - 2011 Remaster", "Title - Deluxe Version"
+const DASHED_EDITION = new RegExp(`\\s+[-–—]\\s+[^-–—]*\\b(${EDITION_WORDS})\\b[^-–—]*$`, 'iu');
+
+// Normalize strings for comparison: Unicode-folded (Björk -> bjork), lowercase,
+// punctuation turned into single spaces. Letters of every script are kept.
+function normalizeForMatching(str) {
+    if (!str) return '';
+    return str
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')                // Drop combining marks (diacritics)
+        .toLowerCase()
+        .replace(/[ßæœøłđðþı]/g, letter => FOLDED_LETTERS[letter])
+        .replace(/['’]/g, '')                   // "Don't" -> "dont", not "don t"
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')       // Everything else separates words
+        .trim();
+}
+
+// Words of a normalized string. Runs of scripts that don't use spaces are split
+// into overlapping character pairs so partial titles still share tokens.
+function tokenize(normalized) {
+    const tokens = [];
+    for (const word of normalized.split(' ').filter(Boolean)) {
+        if (!UNSPACED_SCRIPT.test(word)) {
+            tokens.push(word);
+            continue;
+        }
+
+        const chars = Array.from(word);
+        if (chars.length === 1) {
+            tokens.push(word);
+        }
+        for (let i = 0; i < chars.length - 1; i++) {
+            tokens.push(chars[i] + chars[i + 1]);
+        }
+    }
+    return tokens;
+}
+
+// "Beatles, The" -> "The Beatles"; sort names like "Gabriel, Peter" -> "Peter Gabriel"
+function invertName(name) {
+    const match = /^([^,]+),\s*([^,]+)$/.exec(name || '');
+    return match ? `${match[2]} ${match[1]}` : name;
+}
+
+// Normalized artist for comparison, without a leading "The"
+function normalizeArtist(name) {
+    return normalizeForMatching(name).replace(/^the /, '');
+}
+
+// Normalized artist variants: as written and with a trailing ", X" moved to the
+// front. Both are kept since "Earth, Wind & Fire" is not a sort name.
+function artistVariants(name) {
+    return Array.from(new Set([normalizeArtist(name), normalizeArtist(invertName(name))])).filter(Boolean);
+}
+
+// Artists named in a collaboration, in order. Names that merely contain a
+// separator ("Earth, Wind & Fire") are split too, so try the whole name first.
+function splitArtists(name) {
+    return (name || '').split(ARTIST_SEPARATORS).map(part => part.trim()).filter(Boolean);
+}
+
+function isVariousArtists(name) {
+    return VARIOUS_ARTISTS_NAMES.has(normalizeForMatching(name));
+}
+
+// Title without edition or remaster suffixes
+function stripEdition(title) {
+    return (title || '').replace(BRACKETED_EDITION, '').replace(DASHED_EDITION, '').trim();
+}
+
+// Normalized title variants: as is, and without edition suffixes
+function titleVariants(title) {
+    const variants = new Set([normalizeForMatching(title)]);
+    const stripped = normalizeForMatching(stripEdition(title));
+    if (stripped) variants.add(stripped);
+    return Array.from(variants);
+}
+
+// Levenshtein distance algorithm for fuzzy string matching
+function levenshteinDistance(str1, str2) {
+    const matrix = [];
+
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+
+    return matrix[str2.length][str1.length];
+}
+
+// Share of tokens two strings have in common (Dice coefficient)
+function tokenOverlap(a, b) {
+    const tokensA = tokenize(a);
+    const tokensB = tokenize(b);
+    if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+    const remaining = [...tokensB];
+    let shared = 0;
+    for (const token of tokensA) {
+        const index = remaining.indexOf(token);
+        if (index !== -1) {
+            shared++;
+            remaining.splice(index, 1);
+        }
+    }
+    return 2 * shared / (tokensA.length + tokensB.length);
+}
+
+// 0-1 similarity of two normalized strings; containment ("OK Computer" in
+// "OK Computer OKNOTOK") scores high but below an exact match
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const longer = a.length > b.length ? a : b;
+    const shorter = a.length > b.length ? b : a;
+    const fuzzy = Math.max(
+        (longer.length - levenshteinDistance(longer, shorter)) / longer.length,
+        tokenOverlap(a, b) * 0.9
+    );
+
+    if (longer.includes(shorter)) {
+        return Math.max(fuzzy, 0.85);
+    }
+    return fuzzy;
+}
+
+// Best similarity between any pair of title variants
+function titleSimilarity(title, releaseTitle) {
+    let best = 0;
+    for (const a of titleVariants(title)) {
+        for (const b of titleVariants(releaseTitle)) {
+            best = Math.max(best, similarity(a, b));
+        }
+    }
+    return best;
+}
+
+// Every name a credited artist goes by: the credited name, the artist's name,
+// sort name and aliases (MusicBrainz includes aliases in search results)
+function creditNames(credit) {
+    const artist = credit.artist || {};
+    return [
+        credit.name,
+        artist.name,
+        artist['sort-name'],
+        ...(artist.aliases || []).flatMap(alias => [alias.name, alias['sort-name']])
+    ].filter(Boolean);
+}
+
+// Best similarity between an artist and any of `names`
+function nameSimilarity(artist, names) {
+    const targets = artistVariants(artist);
+    let best = 0;
+    for (const name of names) {
+        for (const variant of artistVariants(name)) {
+            for (const target of targets) {
+                best = Math.max(best, similarity(target, variant));
+            }
+        }
+    }
+    return best;
+}
+
+// Best similarity against any artist credit - and against the joined credit, so
+// "Simon & Garfunkel" still matches a release credited to both separately. A
+// collaboration from Roon ("A / B") also scores by how well each of its artists
+// matches a credit, whatever order MusicBrainz lists them in.
+function artistSimilarity(artist, release) {
+    const credits = release['artist-credit'] || [];
+    const names = credits.flatMap(creditNames);
+    names.push(credits.map(credit => `${credit.name || credit.artist?.name || ''}${credit.joinphrase || ''}`).join(''));
+
+    let best = nameSimilarity(artist, names);
+
+    const parts = splitArtists(artist);
+    if (parts.length > 1) {
+        const total = parts.reduce((sum, part) => sum + nameSimilarity(part, names), 0);
+        best = Math.max(best, total / parts.length);
+    }
+    return best;
+}
+
+// The credit to file a release under. Guests after a "feat." are never the lead;
+// of the main credits, the one matching the Roon artist wins, then the one
+// matching the first collaborator Roon names that has a match, and only then
+// simply the first credit.
+function leadCredit(artist, credits = []) {
+    const main = [];
+    for (const credit of credits) {
+        if (credit.artist?.id) main.push(credit);
+        if (FEATURING.test(credit.joinphrase || '')) break;
+    }
+
+    const wanted = [
+        { name: artist, threshold: LEAD_ARTIST_SIMILARITY.whole },
+        ...splitArtists(artist).map(name => ({ name, threshold: LEAD_ARTIST_SIMILARITY.part }))
+    ];
+    for (const { name, threshold } of wanted) {
+        let match = null;
+        let best = 0;
+        for (const credit of main) {
+            const score = nameSimilarity(name, creditNames(credit));
+            if (score >= threshold && score > best) {
+                match = credit;
+                best = score;
+            }
+        }
+        if (match) return match;
+    }
+    return main[0] || null;
+}
+
+function trackSimilarity(trackCount, release) {
+    const releaseTracks = release['track-count'];
+    if (!trackCount || !releaseTracks) return null;
+
+    const diff = Math.abs(trackCount - releaseTracks);
+    if (diff === 0) return 1;
+    if (diff <= 2) return 0.7; // bonus tracks, hidden tracks
+    return Math.min(trackCount, releaseTracks) / Math.max(trackCount, releaseTracks) * 0.5;
+}
+
+// How much the release type and status lower the confidence
+function typeFactor(title, release) {
+    const releaseGroup = release['release-group'] || {};
+    const normalizedTitle = normalizeForMatching(title);
+
+    let factor = PRIMARY_TYPE_FACTORS[releaseGroup['primary-type']] ?? 0.9;
+    for (const type of releaseGroup['secondary-types'] || []) {
+        const hint = SECONDARY_TYPE_HINTS[type];
+        if (!hint || !hint.test(normalizedTitle)) {
+            factor *= SECONDARY_TYPE_FACTOR;
+        }
+    }
+    return factor * (STATUS_FACTORS[release.status] ?? 0.9);
+}
+
+// Score one release. `album` is { title, artist, trackCount? }.
+// Returns { confidence, signals } with each signal in 0-1 (null when unknown).
+function scoreRelease(album, release) {
+    const signals = {
+        title: titleSimilarity(album.title, release.title),
+        artist: artistSimilarity(album.artist, release),
+        tracks: trackSimilarity(album.trackCount, release),
+        type: typeFactor(album.title, release)
+    };
+
+    let total = 0;
+    let weight = 0;
+    for (const [signal, signalWeight] of Object.entries(WEIGHTS)) {
+        if (signals[signal] === null) continue;
+        total += signals[signal] * signalWeight;
+        weight += signalWeight;
+    }
+
+    const confidence = Math.round(total / weight * signals.type * 100) / 100;
+    return { confidence, signals };
+}
+
+// One candidate per release group, best first
+function rankReleases(album, releases) {
+    const candidates = new Map();
+
+    for (const release of releases) {
+        const credits = release['artist-credit'] || [];
+        const artist = leadCredit(album.artist, credits)?.artist;
+        const releaseGroup = release['release-group'];
+        if (!artist?.id || !releaseGroup?.id) continue;
+
+        const { confidence, signals } = scoreRelease(album, release);
+        const existing = candidates.get(releaseGroup.id);
+        if (existing && existing.confidence >= confidence) continue;
+
+        candidates.set(releaseGroup.id, {
+            releaseGroupId: releaseGroup.id,
+            artistId: artist.id,
+            artistName: artist.name,
+            artists: credits.filter(credit => credit.artist?.id)
+                .map(credit => ({ id: credit.artist.id, name: credit.artist.name })),
+            title: release.title,
+            date: release.date || null,
+            primaryType: releaseGroup['primary-type'] || null,
+            secondaryTypes: releaseGroup['secondary-types'] || [],
+            trackCount: release['track-count'] || null,
+            confidence,
+            signals
+        });
+    }
+
+    return Array.from(candidates.values()).sort((a, b) => b.confidence - a.confidence);
+}
+
+// 'accept' adds the album unattended, 'review' holds it for the review queue,
+// 'reject' treats it as no match at all
+function classifyConfidence(confidence, thresholds = DEFAULT_THRESHOLDS) {
+    if (confidence >= thresholds.accept) return 'accept';
+    if (confidence >= thresholds.review) return 'review';
+    return 'reject';
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS,
+    VARIOUS_ARTISTS_MBID,
+    isVariousArtists,
+    splitArtists,
+    leadCredit,
+    normalizeForMatching,
+    normalizeArtist,
+    stripEdition,
+    similarity,
+    scoreRelease,
+    rankReleases,
+    classifyConfidence
+};
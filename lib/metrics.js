@@ -0,0 +1,218 @@
+// Prometheus metrics in the text exposition format, served at /metrics.
+// Counters and histograms are updated as things happen; gauges describing the
+// cache (albums per state, pending retries, downloads) are filled in from the
+// integration's state on every scrape.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const PREFIX = 'roon2lidarr_';
+
+// Scans take seconds on small libraries and the better part of an hour on large ones
+const SCAN_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = PREFIX + name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(label => String(labels[label] ?? '')));
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    formatLabels(key, extra = '') {
+        const pairs = JSON.parse(key).map((value, i) => `${this.labelNames[i]}="${escapeLabel(value)}"`);
+        if (extra) pairs.push(extra);
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${this.formatLabels(key)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+        // Without labels there is a single series, which starts at zero
+        if (this.labelNames.length === 0) this.inc({}, 0);
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.key(labels);
+        this.values.set(key, (this.values.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels, value) {
+        this.values.set(this.key(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets, ...options }) {
+        super('histogram', options);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Returns a function that observes the seconds elapsed when called
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => this.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, series] of this.values) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${this.formatLabels(key, `le="${bound}"`)} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${this.formatLabels(key, 'le="+Inf"')} ${series.count}`);
+            lines.push(`${this.name}_sum${this.formatLabels(key)} ${series.sum}`);
+            lines.push(`${this.name}_count${this.formatLabels(key)} ${series.count}`);
+        }
+        return lines;
+    }
+}
+
+function escapeLabel(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Lidarr endpoints with IDs and query strings folded, so each endpoint is one series:
+// /album/123?deleteFiles=false -> /album/:id
+function endpointLabel(endpoint) {
+    return endpoint.split('?')[0].replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+// The integration's metrics. Update the returned counters and histograms where
+// things happen; render() collects the gauges from `integration` and returns
+// the exposition text.
+function createMetrics(integration) {
+    const metrics = {
+        scans: new Counter({
+            name: 'scans_total',
+            help: 'Library scans run, by type (full or quick) and result (success or failure)',
+            labelNames: ['type', 'result']
+        }),
+        scanDuration: new Histogram({
+            name: 'scan_duration_seconds',
+            help: 'Duration of library scans, including processing new albums',
+            labelNames: ['type'],
+            buckets: SCAN_BUCKETS
+        }),
+        newAlbums: new Counter({
+            name: 'new_albums_total',
+            help: 'Albums found in Roon that were new to the cache'
+        }),
+        musicBrainzLookups: new Counter({
+            name: 'musicbrainz_lookups_total',
+            help: 'MusicBrainz lookups by result: hit (confident match), miss (no or only a weak match) or error',
+            labelNames: ['result']
+        }),
+        lidarrRequests: new Counter({
+            name: 'lidarr_requests_total',
+            help: 'Lidarr API requests by method, endpoint and HTTP status ("error" when no response)',
+            labelNames: ['method', 'endpoint', 'status']
+        }),
+        retries: new Counter({
+            name: 'retries_total',
+            help: 'Album retries run (retry pass, API or CLI), by the failure class retried for and the state the album ended in ("error" if the retry threw)',
+            labelNames: ['failure_class', 'result']
+        }),
+        roonAlbums: new Gauge({
+            name: 'roon_albums',
+            help: 'Albums in the Roon library at the last full scan'
+        }),
+        albums: new Gauge({
+            name: 'albums',
+            help: 'Cached albums by state',
+            labelNames: ['state']
+        }),
+        retriesPending: new Gauge({
+            name: 'retries_pending',
+            help: 'Albums waiting for a retry, by failure class',
+            labelNames: ['failure_class']
+        }),
+        downloads: new Gauge({
+            name: 'downloads',
+            help: 'Albums sent to Lidarr by download status',
+            labelNames: ['status']
+        }),
+        lidarrUp: new Gauge({
+            name: 'lidarr_up',
+            help: 'Whether the last Lidarr connection check succeeded'
+        })
+    };
+
+    metrics.render = () => {
+        metrics.collect();
+        const lines = Object.values(metrics)
+            .filter(metric => metric instanceof Metric)
+            .flatMap(metric => metric.render());
+        return `${lines.join('\n')}\n`;
+    };
+
+    metrics.collect = () => {
+        for (const gauge of [metrics.roonAlbums, metrics.albums, metrics.retriesPending, metrics.downloads, metrics.lidarrUp]) {
+            gauge.reset();
+        }
+
+        if (integration.libraryAlbumCount !== null) {
+            metrics.roonAlbums.set({}, integration.libraryAlbumCount);
+        }
+        if (integration.lidarrAvailable !== null) {
+            metrics.lidarrUp.set({}, integration.lidarrAvailable ? 1 : 0);
+        }
+
+        const states = {};
+        const pending = {};
+        const downloads = {};
+        for (const entry of integration.albumCache.values()) {
+            const state = integration.getAlbumState(entry);
+            states[state] = (states[state] || 0) + 1;
+            if ((state === 'pending_musicbrainz' || state === 'pending_lidarr') && entry.failureClass) {
+                pending[entry.failureClass] = (pending[entry.failureClass] || 0) + 1;
+            }
+            if (state === 'done' && entry.download) {
+                downloads[entry.download.status] = (downloads[entry.download.status] || 0) + 1;
+            }
+        }
+        for (const [state, count] of Object.entries(states)) metrics.albums.set({ state }, count);
+        for (const [failureClass, count] of Object.entries(pending)) metrics.retriesPending.set({ failure_class: failureClass }, count);
+        for (const [status, count] of Object.entries(downloads)) metrics.downloads.set({ status }, count);
+    };
+
+    return metrics;
+}
+
+module.exports = { createMetrics, endpointLabel, CONTENT_TYPE };
@@ -0,0 +1,198 @@
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// MusicBrainz ws/2 client. All requests share one token bucket (MusicBrainz
+// allows one request per second per client), 503s are retried after the
+// Retry-After the server asks for, and responses are cached on disk.
+//
+// get() resolves to the parsed JSON, or null for a 404. Anything else that
+// doesn't tell us about the album - network errors, timeouts, repeated 503s,
+// bad JSON - rejects with a MusicBrainzError, so callers can tell "no match"
+// apart from "MusicBrainz is having trouble".
+
+class MusicBrainzError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'MusicBrainzError';
+        this.status = status;
+        this.failureClass = 'musicbrainz_error';
+    }
+}
+
+// Hands out `rate` tokens per second, one caller at a time
+class TokenBucket {
+    constructor(rate) {
+        this.interval = 1000 / rate;
+        this.nextSlot = 0;
+    }
+
+    async take() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.interval;
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    // Nobody gets a token before `until` (server asked us to back off)
+    pauseUntil(until) {
+        this.nextSlot = Math.max(this.nextSlot, until);
+    }
+}
+
+// Shared by every client in the process - the limit is per IP, not per caller
+const buckets = new Map();
+
+class MusicBrainzClient {
+    constructor({
+        baseUrl = 'https://musicbrainz.org',
+        userAgent,
+        rate = 1,
+        cacheDir = null,
+        cacheTtlHours = 24,
+        timeout = 10000,
+        retries = 3
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.userAgent = userAgent;
+        this.cacheDir = cacheDir;
+        this.cacheTtlMs = cacheTtlHours * 60 * 60 * 1000;
+        this.timeout = timeout;
+        this.retries = retries;
+
+        const bucketKey = `${this.baseUrl}|${rate}`;
+        if (!buckets.has(bucketKey)) {
+            buckets.set(bucketKey, new TokenBucket(rate));
+        }
+        this.bucket = buckets.get(bucketKey);
+    }
+
+    // GET /ws/2/<resource>?<params>&fmt=json
+    async get(resource, params = {}) {
+        const query = new URLSearchParams({ ...params, fmt: 'json' });
+        const url = `${this.baseUrl}/ws/2/${resource}?${query}`;
+
+        const cached = await this.readCache(url);
+        if (cached) return cached.body;
+
+        const body = await this.fetchWithRetries(url);
+        await this.writeCache(url, body);
+        return body;
+    }
+
+    async fetchWithRetries(url) {
+        for (let attempt = 1; ; attempt++) {
+            await this.bucket.take();
+
+            let response;
+            try {
+                response = await this.request(url);
+            } catch (error) {
+                if (attempt >= this.retries) {
+                    throw new MusicBrainzError(`MusicBrainz request failed: ${error.message}`);
+                }
+                await sleep(1000 * Math.pow(2, attempt - 1));
+                continue;
+            }
+
+            const { status, headers, data } = response;
+            if (status === 404) return null;
+
+            if (status === 200) {
+                try {
+                    return JSON.parse(data);
+                } catch (error) {
+                    throw new MusicBrainzError(`MusicBrainz returned invalid JSON: ${error.message}`, status);
+                }
+            }
+
+            // 503 is MusicBrainz' rate limiting and overload response
+            if ((status === 503 || status === 429) && attempt < this.retries) {
+                const waitMs = retryAfterMs(headers['retry-after']) ?? 1000 * Math.pow(2, attempt);
+                console.log(`  MusicBrainz returned HTTP ${status}, retrying in ${Math.round(waitMs / 1000)}s`);
+                this.bucket.pauseUntil(Date.now() + waitMs);
+                continue;
+            }
+
+            throw new MusicBrainzError(`MusicBrainz returned HTTP ${status}`, status);
+        }
+    }
+
+    request(url) {
+        const httpModule = url.startsWith('https:') ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = httpModule.get(url, {
+                headers: {
+                    'User-Agent': this.userAgent,
+                    'Accept': 'application/json'
+                }
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, data }));
+                res.on('error', reject);
+            });
+
+            req.on('error', reject);
+            req.setTimeout(this.timeout, () => {
+                req.destroy(new Error('request timed out'));
+            });
+        });
+    }
+
+    cachePath(url) {
+        const hash = crypto.createHash('sha1').update(url).digest('hex');
+        return path.join(this.cacheDir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    async readCache(url) {
+        if (!this.cacheDir || this.cacheTtlMs <= 0) return null;
+
+        try {
+            const entry = JSON.parse(await fs.readFile(this.cachePath(url), 'utf8'));
+            if (entry.url !== url || Date.now() - new Date(entry.fetchedAt) > this.cacheTtlMs) {
+                return null;
+            }
+            return entry;
+        } catch (error) {
+            return null; // Missing or unreadable - just fetch again
+        }
+    }
+
+    async writeCache(url, body) {
+        if (!this.cacheDir || this.cacheTtlMs <= 0) return;
+
+        const file = this.cachePath(url);
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tmpFile = `${file}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify({ url, fetchedAt: new Date().toISOString(), body }));
+            await fs.rename(tmpFile, file);
+        } catch (error) {
+            console.error(`Could not cache MusicBrainz response: ${error.message}`);
+        }
+    }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { MusicBrainzClient, MusicBrainzError };
@@ -0,0 +1,270 @@
+const https = require('https');
+const http = require('http');
+const fs = require('fs').promises;
+const { sendMail } = require('./smtp');
+
+// Notifications about what the integration did, sent to any number of
+// notifiers configured in the optional notifiers file:
+//
+//   {
+//     "lidarrUnreachableAfter": 3,
+//     "notifiers": [
+//       { "type": "ntfy", "url": "https://ntfy.sh/my-roon2lidarr" },
+//       { "type": "discord", "url": "https://discord.com/api/webhooks/…", "events": ["digest"] },
+//       { "type": "email", "host": "smtp.example.com", "port": 587, "username": "me",
+//         "password": "…", "from": "roon2lidarr <me@example.com>", "to": ["me@example.com"] }
+//     ]
+//   }
+//
+// Messages are { event, title, text, data }. A notifier gets every event unless
+// it lists the ones it wants in `events`; test messages go to all of them.
+// Sending never throws - a notifier that fails is logged and the others still
+// get the message.
+
+const EVENTS = ['digest', 'lidarr_unreachable', 'lidarr_recovered'];
+const ALERTS = ['lidarr_unreachable'];
+const DEFAULT_UNREACHABLE_AFTER = 3;
+const TIMEOUT_MS = 10000;
+
+// Discord rejects embed descriptions over 4096 characters
+const DISCORD_MAX = 4000;
+
+const NOTIFIER_TYPES = {
+    // The message as JSON, for anything that takes a generic webhook
+    webhook: {
+        required: ['url'],
+        send: (config, message) => post(config.url, {
+            event: message.event,
+            title: message.title,
+            text: message.text,
+            ...message.data
+        }, config.headers)
+    },
+    ntfy: {
+        required: ['url'],
+        send: (config, message) => post(config.url, message.text, {
+            'Title': message.title,
+            'Tags': ALERTS.includes(message.event) ? 'warning' : 'cd',
+            'Priority': ALERTS.includes(message.event) ? 'high' : 'default',
+            ...(config.token ? { 'Authorization': `Bearer ${config.token}` } : {})
+        })
+    },
+    gotify: {
+        required: ['url', 'token'],
+        send: (config, message) => post(`${config.url.replace(/\/+$/, '')}/message`, {
+            title: message.title,
+            message: message.text,
+            priority: ALERTS.includes(message.event) ? 8 : 4
+        }, { 'X-Gotify-Key': config.token })
+    },
+    discord: {
+        required: ['url'],
+        send: (config, message) => post(config.url, {
+            username: config.username || 'roon2lidarr',
+            embeds: [{ title: message.title, description: truncate(message.text, DISCORD_MAX) }]
+        })
+    },
+    slack: {
+        required: ['url'],
+        send: (config, message) => post(config.url, { text: `*${message.title}*\n${message.text}` })
+    },
+    email: {
+        required: ['host', 'from', 'to'],
+        send: (config, message) => sendMail({
+            host: config.host,
+            port: config.port,
+            secure: config.secure,
+            rejectUnauthorized: config.rejectUnauthorized,
+            requireTLS: config.requireTLS,
+            username: config.username,
+            password: config.password,
+            from: config.from,
+            to: config.to,
+            subject: message.title,
+            text: message.text
+        })
+    }
+};
+
+class Notifiers {
+    constructor({ notifiers = [], lidarrUnreachableAfter = DEFAULT_UNREACHABLE_AFTER } = {}) {
+        this.notifiers = notifiers.map(compileNotifier);
+        this.lidarrUnreachableAfter = lidarrUnreachableAfter;
+    }
+
+    // Notifiers from `file`; a missing file means none, an invalid one throws
+    static async load(file) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Notifiers();
+            throw new Error(`Could not read notifiers ${file}: ${error.message}`);
+        }
+
+        if (!Array.isArray(data?.notifiers)) {
+            throw new Error(`Notifiers ${file} must contain a "notifiers" array`);
+        }
+        const after = data.lidarrUnreachableAfter ?? DEFAULT_UNREACHABLE_AFTER;
+        if (!Number.isInteger(after) || after < 1) {
+            throw new Error(`Notifiers ${file}: "lidarrUnreachableAfter" must be a positive integer`);
+        }
+        try {
+            return new Notifiers({ notifiers: data.notifiers, lidarrUnreachableAfter: after });
+        } catch (error) {
+            throw new Error(`Notifiers ${file}: ${error.message}`);
+        }
+    }
+
+    // Send `message` to every notifier that wants its event. Resolves to the
+    // number of notifiers it was delivered to.
+    async notify(message) {
+        let sent = 0;
+        for (const notifier of this.notifiers) {
+            if (notifier.events && message.event !== 'test' && !notifier.events.includes(message.event)) continue;
+            try {
+                await NOTIFIER_TYPES[notifier.type].send(notifier.config, message);
+                sent++;
+            } catch (error) {
+                console.error(`Notifier ${notifier.name} failed: ${error.message}`);
+            }
+        }
+        return sent;
+    }
+}
+
+function compileNotifier(config, index) {
+    const name = config?.name || `${config?.type || 'notifier'} ${index + 1}`;
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${name} is not an object`);
+    }
+    const type = NOTIFIER_TYPES[config.type];
+    if (!type) {
+        throw new Error(`${name}: unknown type "${config.type}" (expected ${Object.keys(NOTIFIER_TYPES).join(', ')})`);
+    }
+    const missing = type.required.filter(field => !config[field]);
+    if (missing.length > 0) {
+        throw new Error(`${name}: missing ${missing.join(', ')}`);
+    }
+    if (config.events && (!Array.isArray(config.events) || config.events.some(event => !EVENTS.includes(event)))) {
+        throw new Error(`${name}: "events" must be a list of ${EVENTS.join(', ')}`);
+    }
+
+    return { name, type: config.type, events: config.events || null, config };
+}
+
+// What happened to the albums of one processing run, sent as a single digest
+class Digest {
+    constructor() {
+        this.added = [];
+        this.present = [];
+        this.notFound = [];
+        this.review = [];
+        this.lidarrFailed = [];
+    }
+
+    // An album added to Lidarr, or found already there when `existing`
+    recordAdded(album, existing = false) {
+        (existing ? this.present : this.added).push(describe(album));
+    }
+
+    // An album that failed with `failureClass` (see lib/retry-policy.js)
+    recordFailure(album, failureClass, message) {
+        const item = { ...describe(album), failureClass, error: message };
+        if (failureClass === 'musicbrainz_low_confidence') {
+            this.review.push(item);
+        } else if (failureClass.startsWith('musicbrainz_')) {
+            this.notFound.push(item);
+        } else {
+            this.lidarrFailed.push(item);
+        }
+    }
+
+    get empty() {
+        return this.sections().every(([, items]) => items.length === 0);
+    }
+
+    sections() {
+        return [
+            ['Added to Lidarr', this.added],
+            ['Already in Lidarr', this.present],
+            ['Not found on MusicBrainz', this.notFound],
+            ['Needs review', this.review],
+            ['Lidarr failures', this.lidarrFailed]
+        ];
+    }
+
+    toMessage() {
+        const counts = [
+            [this.added.length, 'added'],
+            [this.present.length, 'already in Lidarr'],
+            [this.notFound.length, 'not found'],
+            [this.review.length, 'to review'],
+            [this.lidarrFailed.length, 'failed']
+        ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+
+        const text = this.sections()
+            .filter(([, items]) => items.length > 0)
+            .map(([heading, items]) => [
+                `${heading} (${items.length}):`,
+                ...items.map(item => `  • ${item.artist} - ${item.title}${item.error ? `: ${item.error}` : ''}`)
+            ].join('\n'))
+            .join('\n\n');
+
+        return {
+            event: 'digest',
+            title: `roon2lidarr: ${counts.join(', ')}`,
+            text,
+            data: {
+                added: this.added,
+                present: this.present,
+                notFound: this.notFound,
+                review: this.review,
+                lidarrFailed: this.lidarrFailed
+            }
+        };
+    }
+}
+
+function describe(album) {
+    return { key: album.key || null, artist: album.artist, title: album.title };
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// POST `body` (JSON, or a string sent as plain text); rejects on non-2xx responses
+function post(target, body, headers = {}) {
+    const url = new URL(target);
+    const httpModule = url.protocol === 'https:' ? https : http;
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+        const req = httpModule.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            }
+        }, (res) => {
+            let response = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => response += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`${url.host} returned HTTP ${res.statusCode}${response ? `: ${response.slice(0, 200)}` : ''}`));
+                }
+            });
+        });
+
+        req.on('error', reject);
+        req.setTimeout(TIMEOUT_MS, () => req.destroy(new Error('request timed out')));
+        req.end(payload);
+    });
+}
+
+module.exports = { Notifiers, Digest, NOTIFIER_TYPES };
@@ -0,0 +1,109 @@
+// Why an album couldn't be added, and how long to wait before trying it again.
+// Each failure class backs off exponentially from `baseDelayHours`, capped at
+// `maxDelayHours`. After `maxAttempts` consecutive failures of the same class the
+// album is parked as needing attention and only retried on request.
+
+const HOUR = 60 * 60 * 1000;
+const MAX_HISTORY = 20;
+
+const FAILURE_CLASSES = {
+    // MusicBrainz has no release for it yet - editors may add one, so keep checking, slowly
+    musicbrainz_no_match: { baseDelayHours: 7 * 24, maxDelayHours: 90 * 24, maxAttempts: 6 },
+    // A candidate exists but scored too low to add unattended - held for review straight away
+    musicbrainz_low_confidence: { baseDelayHours: 7 * 24, maxDelayHours: 7 * 24, maxAttempts: 1 },
+    // MusicBrainz unreachable, rate limited or returning errors
+    musicbrainz_error: { baseDelayHours: 1, maxDelayHours: 24, maxAttempts: 10 },
+    // Lidarr down or timing out
+    lidarr_unavailable: { baseDelayHours: 1, maxDelayHours: 24, maxAttempts: 20 },
+    // Lidarr refused to add the artist (bad root folder or profile, unknown MBID)
+    artist_rejected: { baseDelayHours: 24, maxDelayHours: 14 * 24, maxAttempts: 5 },
+    // Artist is in Lidarr but the release group didn't show up after a refresh
+    album_not_found: { baseDelayHours: 24, maxDelayHours: 30 * 24, maxAttempts: 6 },
+    // Any other Lidarr API error
+    lidarr_error: { baseDelayHours: 6, maxDelayHours: 7 * 24, maxAttempts: 8 }
+};
+
+// An error that knows which failure class it belongs to
+class ProcessingError extends Error {
+    constructor(failureClass, message) {
+        super(message);
+        this.name = 'ProcessingError';
+        this.failureClass = failureClass;
+    }
+}
+
+// Errors from other modules (e.g. MusicBrainzError) carry their own failureClass
+function classifyError(error) {
+    if (error.failureClass && FAILURE_CLASSES[error.failureClass]) return error.failureClass;
+    return 'lidarr_error';
+}
+
+// Failures of the same class at the end of the history, i.e. the current streak
+function consecutiveFailures(entry, failureClass) {
+    const attempts = entry.attempts || [];
+    let count = 0;
+    for (let i = attempts.length - 1; i >= 0 && attempts[i].failureClass === failureClass; i--) {
+        count++;
+    }
+    return count;
+}
+
+function retryDelay(failureClass, attempt, { noMatchDelayDays } = {}) {
+    const policy = FAILURE_CLASSES[failureClass];
+    const baseDelayHours = failureClass === 'musicbrainz_no_match' && noMatchDelayDays
+        ? noMatchDelayDays * 24
+        : policy.baseDelayHours;
+    const hours = Math.min(baseDelayHours * Math.pow(2, attempt - 1), Math.max(policy.maxDelayHours, baseDelayHours));
+    return hours * HOUR;
+}
+
+// Record the outcome of an attempt on the cache entry. `error` is null on success.
+// `options.noMatchDelayDays` overrides the base delay for MusicBrainz no-match.
+function recordAttempt(entry, error, options = {}) {
+    const now = new Date();
+    const attempt = { at: now.toISOString(), failureClass: null, error: null };
+
+    if (error) {
+        attempt.failureClass = classifyError(error);
+        attempt.error = error.message;
+    }
+
+    entry.attempts = [...(entry.attempts || []), attempt].slice(-MAX_HISTORY);
+    entry.lastRetry = attempt.at;
+
+    if (!error) {
+        entry.failureClass = null;
+        entry.nextRetry = null;
+        entry.needsAttention = false;
+        return entry;
+    }
+
+    const failures = consecutiveFailures(entry, attempt.failureClass);
+    entry.failureClass = attempt.failureClass;
+
+    if (failures >= FAILURE_CLASSES[attempt.failureClass].maxAttempts) {
+        entry.needsAttention = true;
+        entry.nextRetry = null;
+    } else {
+        entry.needsAttention = false;
+        entry.nextRetry = new Date(now.getTime() + retryDelay(attempt.failureClass, failures, options)).toISOString();
+    }
+
+    return entry;
+}
+
+// Entries from before retry policies only have lastRetry; give them the old flat delay
+function isRetryDue(entry, now = Date.now(), { legacyDelayDays = 7 } = {}) {
+    if (entry.needsAttention) return false;
+    if (entry.nextRetry) return new Date(entry.nextRetry).getTime() <= now;
+    if (!entry.lastRetry) return true;
+    return now - new Date(entry.lastRetry).getTime() >= legacyDelayDays * 24 * HOUR;
+}
+
+module.exports = {
+    FAILURE_CLASSES,
+    ProcessingError,
+    classifyError,
+    recordAttempt,
+    isRetryDue
+};
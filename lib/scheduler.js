@@ -0,0 +1,259 @@
+// Minimal cron scheduler: standard 5-field expressions (minute hour day-of-month
+// month day-of-week) in local time, with lists, ranges, steps and @macros.
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+function parseCron(expression) {
+    const source = MACROS[String(expression).trim()] || String(expression).trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+    }
+
+    const cron = { expression };
+    parts.forEach((part, i) => {
+        cron[FIELDS[i].name] = parseField(part, FIELDS[i], expression);
+    });
+
+    if (cron.dayOfWeek.values.has(7)) {
+        cron.dayOfWeek.values.add(0);
+    }
+
+    return cron;
+}
+
+function parseField(part, { name, min, max }, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const match = item.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron expression "${expression}": bad ${name} "${item}"`);
+        }
+
+        const step = match[2] ? parseInt(match[2]) : 1;
+        let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+        if (end === undefined) {
+            end = match[2] ? max : start; // "5/15" means every 15 starting at 5
+        }
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid cron expression "${expression}": ${name} out of range ${min}-${max}`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return { any: part === '*', values };
+}
+
+function dayMatches(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.values.has(date.getDate());
+    const dayOfWeek = cron.dayOfWeek.values.has(date.getDay());
+
+    // As in standard cron, restricting both day fields means either may match
+    if (!cron.dayOfMonth.any && !cron.dayOfWeek.any) {
+        return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+}
+
+// First matching minute strictly after `after`, or null if none within a year
+function nextRun(cron, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(after).getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!cron.month.values.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0);
+        } else if (!cron.hour.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0);
+        } else if (!cron.minute.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+// Runs named jobs on cron schedules, one at a time. A job's task returns false
+// when it couldn't run (e.g. no Roon Core yet); such jobs are picked up again by
+// catchUp(). `onRun(lastRuns)` is called after each successful run so the
+// caller can persist the timestamps.
+class Scheduler {
+    constructor({ onRun = async () => {} } = {}) {
+        this.jobs = new Map();
+        this.lastRuns = {};
+        this.onRun = onRun;
+        this.queue = Promise.resolve();
+        this.timer = null;
+        this.started = false;
+    }
+
+    addJob(name, schedule, task) {
+        this.jobs.set(name, {
+            name,
+            cron: parseCron(schedule),
+            task,
+            missed: false,
+            queued: null,
+            running: false,
+            nextRun: null
+        });
+        this.arm();
+    }
+
+    setSchedule(name, schedule) {
+        const job = this.jobs.get(name);
+        const cron = parseCron(schedule);
+        if (job.cron.expression !== cron.expression) {
+            console.log(`Schedule for ${name} changed to "${cron.expression}"`);
+            job.cron = cron;
+            this.arm();
+        }
+    }
+
+    start(lastRuns = {}) {
+        this.lastRuns = { ...lastRuns };
+        this.started = true;
+        this.catchUp();
+        this.arm();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Run every job whose scheduled time passed while we were down or unable to run it
+    catchUp() {
+        if (!this.started) return;
+
+        const now = new Date();
+        for (const job of this.jobs.values()) {
+            const lastRun = this.lastRuns[job.name];
+            const next = lastRun ? nextRun(job.cron, new Date(lastRun)) : null;
+            if (job.missed || !lastRun || (next && next <= now)) {
+                this.run(job.name, 'catch-up');
+            }
+        }
+    }
+
+    trigger(name) {
+        if (!this.jobs.has(name)) {
+            throw new Error(`Unknown job "${name}"`);
+        }
+        return this.run(name, 'manual');
+    }
+
+    run(name, reason) {
+        const job = this.jobs.get(name);
+
+        // Already waiting in the queue - don't stack a second run behind it
+        if (job.queued) return job.queued;
+
+        job.queued = this.queue = this.queue.then(async () => {
+            job.queued = null;
+            job.running = true;
+            console.log(`\nRunning ${name} (${reason})`);
+
+            try {
+                if (await job.task() === false) {
+                    job.missed = true;
+                    return false;
+                }
+
+                job.missed = false;
+                this.lastRuns[name] = new Date().toISOString();
+                await this.onRun(this.lastRuns);
+                return true;
+            } catch (error) {
+                console.error(`Job ${name} failed: ${error.message}`);
+                return false;
+            } finally {
+                job.running = false;
+            }
+        });
+
+        return job.queued;
+    }
+
+    // Run a one-off task (e.g. a retry requested through the API) in the same
+    // queue, so it never overlaps a job. Resolves or rejects with the task's result.
+    exclusive(name, task) {
+        const result = this.queue.then(() => {
+            console.log(`\nRunning ${name}`);
+            return task();
+        });
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        if (!this.started) return;
+
+        const now = new Date();
+        let earliest = null;
+        for (const job of this.jobs.values()) {
+            job.nextRun = nextRun(job.cron, now);
+            if (job.nextRun && (!earliest || job.nextRun < earliest)) {
+                earliest = job.nextRun;
+            }
+        }
+        if (!earliest) return;
+
+        // Wake at least hourly so clock changes can't strand the timer
+        const wait = Math.min(earliest - now, 60 * 60 * 1000);
+        this.timer = setTimeout(() => this.tick(), Math.max(wait, 1000));
+    }
+
+    tick() {
+        const now = new Date();
+        for (const job of this.jobs.values()) {
+            if (job.nextRun && job.nextRun <= now) {
+                this.run(job.name, 'scheduled');
+            }
+        }
+        this.arm();
+    }
+
+    describe() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            schedule: job.cron.expression,
+            lastRun: this.lastRuns[job.name] || null,
+            nextRun: job.nextRun ? job.nextRun.toISOString() : null,
+            running: job.running,
+            queued: !!job.queued
+        }));
+    }
+}
+
+module.exports = { Scheduler, parseCron, nextRun };
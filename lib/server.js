@@ -0,0 +1,276 @@
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+const path = require('path');
+const { DOWNLOAD_STATUSES } = require('./download-tracker');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+
+const ALBUM_STATES = ['initial', 'pending_musicbrainz', 'pending_lidarr', 'needs_attention', 'ignored', 'skipped', 'done', 'removed'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// HTTP API and dashboard on top of the integration's album cache. Reading is
+// open; every request that changes something needs the API token, so a web
+// page open in the same browser can't drive the API. Cross-origin requests are
+// only allowed from the configured origins.
+function createServer(integration) {
+    const app = express();
+
+    if (integration.corsOrigins.length > 0) {
+        app.use(cors({ origin: integration.corsOrigins }));
+    }
+    app.use(express.json());
+    app.use(express.static(path.join(__dirname, '..', 'public')));
+
+    // The webhook has its own password check, as Lidarr can't send a bearer token
+    app.use('/api', (req, res, next) => {
+        if (READ_METHODS.includes(req.method) || req.path === '/webhooks/lidarr') {
+            next();
+            return;
+        }
+        if (!integration.apiToken || !safeEqual(bearerToken(req), integration.apiToken)) {
+            res.status(401).json({ error: 'API token required' });
+            return;
+        }
+        next();
+    });
+
+    app.get('/api/status', (req, res) => {
+        const counts = Object.fromEntries(ALBUM_STATES.map(state => [state, 0]));
+        for (const entry of integration.albumCache.values()) {
+            counts[integration.getAlbumState(entry)]++;
+        }
+        const downloads = Object.fromEntries(DOWNLOAD_STATUSES.map(status => [status, 0]));
+        for (const album of integration.listDownloads()) {
+            downloads[album.download.status]++;
+        }
+
+        res.json({
+            coreConnected: !!integration.core,
+            coreName: integration.core?.display_name || null,
+            dryRun: integration.dryRun,
+            scanInProgress: integration.scanInProgress,
+            statusMessage: integration.statusMessage,
+            statusIsError: integration.statusIsError,
+            lastFullScan: integration.lastFullScan,
+            totalAlbums: integration.albumCache.size,
+            counts,
+            reviewCount: integration.listReviewQueue().length,
+            downloads,
+            schedule: integration.scheduler.describe()
+        });
+    });
+
+    // Prometheus scrape target
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', METRICS_CONTENT_TYPE).send(integration.metrics.render());
+    });
+
+    app.get('/api/albums', (req, res) => {
+        const { state } = req.query;
+        if (state && !ALBUM_STATES.includes(state)) {
+            res.status(400).json({ error: `Unknown state "${state}"` });
+            return;
+        }
+
+        res.json(integration.listAlbums(state || null));
+    });
+
+    // What became of the albums sent to Lidarr; ?status=no_release lists the stuck ones
+    app.get('/api/downloads', (req, res) => {
+        const { status } = req.query;
+        if (status && !DOWNLOAD_STATUSES.includes(status)) {
+            res.status(400).json({ error: `Unknown download status "${status}"` });
+            return;
+        }
+
+        res.json(integration.listDownloads(status || null));
+    });
+
+    app.post('/api/downloads/check', (req, res) => {
+        integration.scheduler.trigger('downloads');
+        res.status(202).json({ queued: true });
+    });
+
+    app.get('/api/review', (req, res) => {
+        res.json(integration.listReviewQueue());
+    });
+
+    app.post('/api/scan', (req, res) => {
+        const mode = req.query.mode || 'full';
+        if (mode !== 'full' && mode !== 'quick') {
+            res.status(400).json({ error: `Unknown scan mode "${mode}"` });
+            return;
+        }
+        if (!integration.core) {
+            res.status(409).json({ error: 'No Roon Core connected' });
+            return;
+        }
+
+        // Scans take minutes on large libraries, so queue and return immediately
+        integration.scheduler.trigger(mode === 'full' ? 'full-scan' : 'scan');
+        res.status(202).json({ queued: true, mode });
+    });
+
+    app.post('/api/retry', (req, res) => {
+        integration.scheduler.trigger('retry');
+        res.status(202).json({ queued: true });
+    });
+
+    // Queued like the scheduled jobs, as a scan may be processing the same album
+    app.post('/api/albums/:key/retry', (req, res) => {
+        const { key } = req.params;
+        if (!integration.albumCache.has(key)) {
+            res.status(404).json({ error: 'Album not found' });
+            return;
+        }
+        if (!integration.canProcess()) {
+            res.status(409).json({ error: integration.statusMessage });
+            return;
+        }
+
+        integration.queueAlbumRetry(key).catch(error => {
+            console.error(`Retry of ${key} failed: ${error.message}`);
+        });
+        res.status(202).json({ queued: true, key });
+    });
+
+    // Revert what the integration changed in Lidarr for the album; ?remove=1 also
+    // deletes artists and albums it added (never their files). Queued like a retry.
+    app.post('/api/albums/:key/undo', (req, res) => {
+        const { key } = req.params;
+        const remove = ['1', 'true'].includes(String(req.query.remove));
+        const entry = integration.albumCache.get(key);
+        if (!entry) {
+            res.status(404).json({ error: 'Album not found' });
+            return;
+        }
+        if (!entry.lidarrChanges?.length) {
+            res.status(409).json({ error: 'No Lidarr changes recorded for this album' });
+            return;
+        }
+        if (!integration.canProcess()) {
+            res.status(409).json({ error: integration.statusMessage });
+            return;
+        }
+
+        integration.queueLidarrUndo(key, { remove }).catch(error => {
+            console.error(`Undo for ${key} failed: ${error.message}`);
+        });
+        res.status(202).json({ queued: true, key, remove });
+    });
+
+    // Body: { releaseGroupId, artistId? } to pin MusicBrainz IDs, or { ignore: true }
+    app.put('/api/albums/:key/override', async (req, res) => {
+        const { releaseGroupId = null, artistId = null, ignore = false } = req.body || {};
+
+        let entry;
+        try {
+            entry = await integration.setAlbumOverride(req.params.key, { releaseGroupId, artistId, ignore: !!ignore });
+        } catch (error) {
+            if (error.code === 'INVALID_MBID') {
+                res.status(400).json({ error: error.message });
+                return;
+            }
+            if (error.code === 'UNKNOWN_MBID') {
+                res.status(422).json({ error: error.message });
+                return;
+            }
+            throw error;
+        }
+
+        if (!entry) {
+            res.status(404).json({ error: 'Album not found' });
+            return;
+        }
+        res.json({ key: req.params.key, state: integration.getAlbumState(entry), ...entry });
+    });
+
+    app.delete('/api/albums/:key/override', async (req, res) => {
+        const entry = await integration.clearAlbumOverride(req.params.key);
+        if (!entry) {
+            res.status(404).json({ error: 'Album not found' });
+            return;
+        }
+        res.json({ key: req.params.key, state: integration.getAlbumState(entry), ...entry });
+    });
+
+    app.delete('/api/albums/:key', async (req, res) => {
+        const removed = await integration.forgetAlbum(req.params.key);
+        if (!removed) {
+            res.status(404).json({ error: 'Album not found' });
+            return;
+        }
+        res.status(204).end();
+    });
+
+    // Target of Lidarr's Settings > Connect > Webhook (On Grab, On Release Import,
+    // On Import Failure, On Download Failure). The connection's password must be
+    // WEBHOOK_PASSWORD, or the API token when that isn't set; the username is not
+    // checked.
+    app.post('/api/webhooks/lidarr', async (req, res) => {
+        const password = integration.webhookPassword || integration.apiToken;
+        if (!password || !safeEqual(webhookPassword(req), password)) {
+            res.status(401).json({ error: 'Wrong webhook password' });
+            return;
+        }
+
+        const payload = req.body || {};
+        if (!payload.eventType) {
+            res.status(400).json({ error: 'Missing eventType' });
+            return;
+        }
+        if (payload.eventType === 'Test') {
+            console.log('Lidarr webhook test received');
+            res.json({ eventType: 'Test', updated: [] });
+            return;
+        }
+
+        const updated = await integration.handleLidarrEvent(payload);
+        res.json({ eventType: payload.eventType, updated });
+    });
+
+    app.use((err, req, res, next) => {
+        console.error(`API error on ${req.method} ${req.path}: ${err.message}`);
+        res.status(500).json({ error: err.message });
+    });
+
+    return app;
+}
+
+// Token from an "Authorization: Bearer <token>" header, or null
+function bearerToken(req) {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+// Constant-time comparison, so response times don't give the secret away
+function safeEqual(value, secret) {
+    if (typeof value !== 'string') return false;
+    const digest = text => crypto.createHash('sha256').update(text).digest();
+    return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+// Password from a basic auth header, or null
+function webhookPassword(req) {
+    const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Basic' || !credentials) return null;
+
+    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+}
+
+function startServer(integration, port) {
+    // Without a configured token, changes need this one, valid until the next restart
+    if (!integration.apiToken) {
+        integration.apiToken = crypto.randomBytes(16).toString('hex');
+        console.log(`API_TOKEN not set - the dashboard and API accept changes with this token until restart: ${integration.apiToken}`);
+    }
+
+    const app = createServer(integration);
+    return app.listen(port, () => {
+        console.log(`Dashboard listening on port ${port}`);
+    });
+}
+
+module.exports = { createServer, startServer, ALBUM_STATES, DOWNLOAD_STATUSES };
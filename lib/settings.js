@@ -0,0 +1,218 @@
+const { parseCron } = require('./scheduler');
+
+// Settings shown on Roon's Extensions > Settings screen. Environment variables
+// provide the defaults; values saved from Roon take precedence over them.
+const DEFAULT_SETTINGS = {
+    lidarrUrl: process.env.LIDARR_URL || 'http://synology.local:8686',
+    lidarrApiKey: process.env.LIDARR_API_KEY || '',
+    rootFolderPath: process.env.LIDARR_ROOT_FOLDER || '/data/media/music',
+    qualityProfileId: parseInt(process.env.LIDARR_QUALITY_PROFILE) || 1,
+    metadataProfileId: parseInt(process.env.LIDARR_METADATA_PROFILE) || 1,
+    addMonitor: process.env.ADD_MONITOR || 'none',
+    albumOnly: ['1', 'true', 'yes'].includes(String(process.env.ALBUM_ONLY).toLowerCase()),
+    scanSchedule: process.env.SCAN_SCHEDULE || '0 * * * *',
+    fullScanSchedule: process.env.FULL_SCAN_SCHEDULE || '0 3 * * *',
+    retrySchedule: process.env.RETRY_SCHEDULE || '30 4 * * *',
+    retryDelayDays: parseInt(process.env.RETRY_DELAY_DAYS) || 7,
+    downloadSchedule: process.env.DOWNLOAD_CHECK_SCHEDULE || '*/30 * * * *',
+    researchHours: parseInt(process.env.DOWNLOAD_RESEARCH_HOURS) || 24,
+    matchAcceptConfidence: parseInt(process.env.MATCH_ACCEPT_CONFIDENCE) || 80,
+    matchReviewConfidence: parseInt(process.env.MATCH_REVIEW_CONFIDENCE) || 60,
+    compilationMode: process.env.COMPILATION_MODE || 'skip'
+};
+
+// Which albums of a newly added artist Lidarr monitors (see lib/add-policy.js)
+const ADD_MONITOR_OPTIONS = [
+    { title: 'Only the added album', value: 'none' },
+    { title: 'Added album and future releases', value: 'future' },
+    { title: 'All released albums', value: 'existing' },
+    { title: 'All albums, including future releases', value: 'all' }
+];
+
+// What to do with Various Artists compilations
+const COMPILATION_MODES = [
+    { title: 'Skip them', value: 'skip' },
+    { title: 'Add them under Various Artists', value: 'various_artists' }
+];
+
+// Roon hands back integer fields as strings, and users paste URLs with trailing slashes
+function normalizeSettings(values) {
+    const settings = { ...DEFAULT_SETTINGS, ...values };
+
+    settings.lidarrUrl = String(settings.lidarrUrl || '').trim().replace(/\/+$/, '');
+    settings.lidarrApiKey = String(settings.lidarrApiKey || '').trim();
+    settings.rootFolderPath = String(settings.rootFolderPath || '').trim();
+    settings.qualityProfileId = parseInt(settings.qualityProfileId) || DEFAULT_SETTINGS.qualityProfileId;
+    settings.metadataProfileId = parseInt(settings.metadataProfileId) || DEFAULT_SETTINGS.metadataProfileId;
+    if (!ADD_MONITOR_OPTIONS.some(option => option.value === settings.addMonitor)) {
+        settings.addMonitor = 'none';
+    }
+    settings.albumOnly = settings.albumOnly === true || settings.albumOnly === 'true';
+    for (const setting of ['scanSchedule', 'fullScanSchedule', 'retrySchedule', 'downloadSchedule']) {
+        settings[setting] = String(settings[setting] || DEFAULT_SETTINGS[setting]).trim().replace(/\s+/g, ' ');
+    }
+    settings.retryDelayDays = parseInt(settings.retryDelayDays) || DEFAULT_SETTINGS.retryDelayDays;
+    settings.researchHours = parseInt(settings.researchHours) || DEFAULT_SETTINGS.researchHours;
+    for (const setting of ['matchAcceptConfidence', 'matchReviewConfidence']) {
+        const value = parseInt(settings[setting]);
+        settings[setting] = Number.isNaN(value) ? DEFAULT_SETTINGS[setting] : value;
+    }
+    if (!COMPILATION_MODES.some(mode => mode.value === settings.compilationMode)) {
+        settings.compilationMode = 'skip';
+    }
+
+    return settings;
+}
+
+// Build the node-roon-api-settings layout. `lidarr` carries what was fetched
+// from the live Lidarr API: { status, rootFolders, qualityProfiles, metadataProfiles, error }.
+function makeLayout(values, lidarr = {}) {
+    const layout = {
+        values,
+        layout: [],
+        has_error: false
+    };
+
+    const connection = {
+        type: 'group',
+        title: 'Lidarr',
+        items: [
+            { type: 'string', title: 'Lidarr URL', setting: 'lidarrUrl' },
+            { type: 'string', title: 'API Key', setting: 'lidarrApiKey' }
+        ]
+    };
+
+    if (!values.lidarrUrl || !/^https?:\/\//.test(values.lidarrUrl)) {
+        connection.items[0].error = 'Enter a URL starting with http:// or https://';
+        layout.has_error = true;
+    }
+
+    if (!values.lidarrApiKey) {
+        connection.items[1].error = 'An API key is required (Lidarr > Settings > General)';
+        layout.has_error = true;
+    } else if (lidarr.error) {
+        connection.items[1].error = `Could not connect to Lidarr: ${lidarr.error}`;
+        layout.has_error = true;
+    } else if (lidarr.status) {
+        connection.items.push({ type: 'label', title: `Connected to Lidarr ${lidarr.status.version}` });
+    }
+
+    layout.layout.push(connection);
+
+    const library = { type: 'group', title: 'Library', items: [] };
+
+    if (lidarr.rootFolders) {
+        library.items.push(dropdown('Root Folder', 'rootFolderPath',
+            lidarr.rootFolders.map(folder => ({ title: folder.path, value: folder.path })), values));
+    } else {
+        library.items.push({ type: 'string', title: 'Root Folder', setting: 'rootFolderPath' });
+    }
+
+    if (lidarr.qualityProfiles) {
+        library.items.push(dropdown('Quality Profile', 'qualityProfileId',
+            lidarr.qualityProfiles.map(profile => ({ title: profile.name, value: profile.id })), values));
+    } else {
+        library.items.push({ type: 'integer', title: 'Quality Profile ID', min: 1, max: 1000, setting: 'qualityProfileId' });
+    }
+
+    if (lidarr.metadataProfiles) {
+        library.items.push(dropdown('Metadata Profile', 'metadataProfileId',
+            lidarr.metadataProfiles.map(profile => ({ title: profile.name, value: profile.id })), values));
+    } else {
+        library.items.push({ type: 'integer', title: 'Metadata Profile ID', min: 1, max: 1000, setting: 'metadataProfileId' });
+    }
+
+    library.items.push({ type: 'dropdown', title: 'Monitor for new artists', values: ADD_MONITOR_OPTIONS, setting: 'addMonitor' });
+    library.items.push({
+        type: 'dropdown',
+        title: 'Album-only mode',
+        values: [
+            { title: 'Off - follow the add policies', value: false },
+            { title: 'On - only ever monitor the added album', value: true }
+        ],
+        setting: 'albumOnly'
+    });
+
+    for (const item of library.items) {
+        if (item.error) layout.has_error = true;
+    }
+
+    layout.layout.push(library);
+
+    const schedule = {
+        type: 'group',
+        title: 'Schedule',
+        items: [
+            { type: 'string', title: 'Check for new albums (cron)', setting: 'scanSchedule' },
+            { type: 'string', title: 'Full library scan (cron)', setting: 'fullScanSchedule' },
+            { type: 'string', title: 'Retry pass (cron)', setting: 'retrySchedule' },
+            { type: 'integer', title: 'First retry of albums not on MusicBrainz after (days)', min: 1, max: 365, setting: 'retryDelayDays' },
+            { type: 'string', title: 'Check downloads (cron)', setting: 'downloadSchedule' },
+            { type: 'integer', title: 'Search again for missing albums after (hours)', min: 1, max: 720, setting: 'researchHours' }
+        ]
+    };
+
+    for (const item of schedule.items) {
+        if (item.type === 'string') {
+            try {
+                parseCron(values[item.setting]);
+            } catch (error) {
+                item.error = error.message;
+                layout.has_error = true;
+            }
+            continue;
+        }
+
+        const value = parseInt(values[item.setting]);
+        if (!(value >= item.min && value <= item.max)) {
+            item.error = `Must be between ${item.min} and ${item.max}`;
+            layout.has_error = true;
+        }
+    }
+
+    layout.layout.push(schedule);
+
+    const matching = {
+        type: 'group',
+        title: 'Matching',
+        items: [
+            { type: 'integer', title: 'Add matches with confidence of at least (%)', min: 1, max: 100, setting: 'matchAcceptConfidence' },
+            { type: 'integer', title: 'Hold weaker matches for review from (%)', min: 0, max: 100, setting: 'matchReviewConfidence' }
+        ]
+    };
+
+    for (const item of matching.items) {
+        const value = parseInt(values[item.setting]);
+        if (!(value >= item.min && value <= item.max)) {
+            item.error = `Must be between ${item.min} and ${item.max}`;
+            layout.has_error = true;
+        }
+    }
+
+    if (!matching.items[1].error && values.matchReviewConfidence > values.matchAcceptConfidence) {
+        matching.items[1].error = 'Must not be higher than the confidence needed to add a match';
+        layout.has_error = true;
+    }
+
+    matching.items.push({ type: 'dropdown', title: 'Various Artists compilations', values: COMPILATION_MODES, setting: 'compilationMode' });
+
+    layout.layout.push(matching);
+
+    return layout;
+}
+
+// Dropdown whose current value must be one Lidarr actually offers
+function dropdown(title, setting, values, current) {
+    const item = { type: 'dropdown', title, values, setting };
+
+    if (values.length === 0) {
+        item.values = [{ title: '(none configured in Lidarr)', value: null }];
+        item.error = `No ${title.toLowerCase()}s found in Lidarr`;
+    } else if (!values.some(option => option.value === current[setting])) {
+        item.error = `Select a ${title.toLowerCase()}`;
+    }
+
+    return item;
+}
+
+module.exports = { DEFAULT_SETTINGS, normalizeSettings, makeLayout };
@@ -0,0 +1,208 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Just enough SMTP to send a plain-text message: implicit TLS (port 465) or
+// STARTTLS when the server offers it, and AUTH PLAIN. Headers and body are
+// UTF-8, the body base64 encoded so line lengths and dots never matter.
+// Credentials are only ever sent over TLS unless `requireTLS` is turned off.
+
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+
+        socket.setEncoding('utf8');
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP server timed out')));
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.parse();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP server closed the connection')));
+    }
+
+    // Collect lines until a reply's last line ("250 ok", not "250-more")
+    parse() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+            if (line.length < 4 || line[3] === ' ') {
+                this.replies.push({
+                    code: parseInt(line.slice(0, 3)),
+                    text: this.lines.map(reply => reply.slice(4)).join('\n')
+                });
+                this.lines = [];
+            }
+        }
+
+        if (this.waiting && this.replies.length > 0) {
+            const { resolve } = this.waiting;
+            this.waiting = null;
+            resolve(this.replies.shift());
+        }
+    }
+
+    fail(error) {
+        this.error = this.error || error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.error) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    async expect(codes, step) {
+        const reply = await this.read();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+    }
+
+    async command(line, codes, step = line.split(' ')[0]) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(codes, step);
+    }
+
+    // Hand the plain socket over to TLS after STARTTLS
+    async upgrade(host, rejectUnauthorized) {
+        const plain = this.socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('error');
+        plain.removeAllListeners('close');
+        plain.setTimeout(0);
+
+        const secure = await new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: plain, servername: serverName(host), rejectUnauthorized }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+        this.attach(secure);
+    }
+
+    close() {
+        this.socket.removeAllListeners('close');
+        this.socket.end();
+    }
+}
+
+// An unreachable host would otherwise take the OS's TCP timeout to fail
+function connect({ host, port, secure, rejectUnauthorized, timeout }) {
+    return new Promise((resolve, reject) => {
+        const onTimeout = () => socket.destroy(new Error(`Could not connect to SMTP server ${host}:${port}: timed out`));
+        const onConnect = () => {
+            // SmtpConnection sets its own timeout from here on
+            socket.setTimeout(0);
+            socket.off('timeout', onTimeout);
+            resolve(socket);
+        };
+        const socket = secure
+            ? tls.connect({ host, port, servername: serverName(host), rejectUnauthorized }, onConnect)
+            : net.connect({ host, port }, onConnect);
+        socket.setTimeout(timeout, onTimeout);
+        socket.once('error', reject);
+    });
+}
+
+// Send `text` to the `to` addresses. Resolves once the server accepted the message.
+async function sendMail({
+    host,
+    port = 587,
+    secure = port === 465,
+    rejectUnauthorized = true,
+    requireTLS = true,
+    username = null,
+    password = null,
+    from,
+    to,
+    subject,
+    text,
+    timeout = 30000
+}) {
+    const recipients = Array.isArray(to) ? to : [to];
+    const connection = new SmtpConnection(await connect({ host, port, secure, rejectUnauthorized, timeout }), timeout);
+    let encrypted = secure;
+
+    try {
+        await connection.expect([220], 'greeting');
+        const hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!secure && /^STARTTLS\b/im.test(hello.text)) {
+            await connection.command('STARTTLS', [220]);
+            await connection.upgrade(host, rejectUnauthorized);
+            encrypted = true;
+            await connection.command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (username) {
+            // No STARTTLS offered - possibly stripped on the way - so the password would go out in the clear
+            if (!encrypted && requireTLS) {
+                throw new Error(`SMTP server ${host}:${port} does not offer STARTTLS; not sending credentials unencrypted (set requireTLS to false to allow it)`);
+            }
+            const credentials = Buffer.from(`\0${username}\0${password || ''}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+        }
+
+        await connection.command(`MAIL FROM:<${address(from)}>`, [250], 'MAIL FROM');
+        for (const recipient of recipients) {
+            await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251], 'RCPT TO');
+        }
+        await connection.command('DATA', [354]);
+        connection.socket.write(formatMessage({ from, to: recipients, subject, text }));
+        await connection.command('.', [250], 'message');
+        await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+        connection.close();
+    }
+}
+
+// SNI only takes host names, not IP addresses
+function serverName(host) {
+    return net.isIP(host) ? undefined : host;
+}
+
+// "Name <user@host>" -> "user@host"
+function address(value) {
+    return (String(value).match(/<([^>]+)>/)?.[1] || String(value)).trim();
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+function formatMessage({ from, to, subject, text }) {
+    const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,323 @@
+const fs = require('fs').promises;
+const { existsSync } = require('fs');
+
+// Storage backends for the album cache. Both expose the same interface:
+//   load()                 -> raw cache data ({ version, albums: [[key, entry]], ...meta }) or null when empty
+//   saveAll(data)          -> replace everything (end of a scan, migrations)
+//   saveAlbum(key, entry)  -> persist a single album
+//   deleteAlbum(key)
+//   saveMeta(meta)         -> merge top-level fields such as lastFullScan
+//   close()
+
+// Whole-file JSON cache, written atomically via temp file + rename, with rotated backups
+class JsonStorage {
+    constructor(file, { backups = 3 } = {}) {
+        this.file = file;
+        this.backups = backups;
+        this.albums = new Map();
+        this.meta = {};
+        this.currentWrite = null;
+        this.pendingWrite = null;
+        this.rotatePending = false;
+    }
+
+    backupPath(n) {
+        return `${this.file}.${n}`;
+    }
+
+    async load() {
+        const candidates = [this.file];
+        for (let n = 1; n <= this.backups; n++) {
+            candidates.push(this.backupPath(n));
+        }
+
+        let corrupt = false;
+        for (const candidate of candidates) {
+            let data;
+            try {
+                data = JSON.parse(await fs.readFile(candidate, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                console.error(`Cache file ${candidate} is unreadable: ${error.message}`);
+                corrupt = true;
+                continue;
+            }
+
+            if (candidate !== this.file) {
+                console.log(`Recovered cache from backup ${candidate}`);
+            }
+
+            const { albums = [], ...meta } = data;
+            this.albums = new Map(albums);
+            this.meta = meta;
+            return data;
+        }
+
+        // Refuse to carry on with an empty cache - that would re-seed the whole library
+        if (corrupt) {
+            throw new Error(`Cache file ${this.file} is corrupt and no usable backup was found`);
+        }
+
+        return null;
+    }
+
+    async saveAll(data) {
+        const { albums, ...meta } = data;
+        this.albums = new Map(albums);
+        this.meta = meta;
+        return this.flush({ rotate: true });
+    }
+
+    async saveAlbum(key, entry) {
+        this.albums.set(key, entry);
+        return this.flush();
+    }
+
+    async deleteAlbum(key) {
+        this.albums.delete(key);
+        return this.flush();
+    }
+
+    async saveMeta(meta) {
+        Object.assign(this.meta, meta);
+        return this.flush();
+    }
+
+    async close() {
+        await this.pendingWrite;
+        await this.currentWrite;
+    }
+
+    // Writes never overlap; calls made while one is running share a single follow-up write
+    flush({ rotate = false } = {}) {
+        this.rotatePending = this.rotatePending || rotate;
+        if (this.pendingWrite) return this.pendingWrite;
+
+        const previous = this.currentWrite || Promise.resolve();
+        this.pendingWrite = previous.catch(() => {}).then(() => {
+            const shouldRotate = this.rotatePending;
+            this.pendingWrite = null;
+            this.rotatePending = false;
+            this.currentWrite = this.writeFile(shouldRotate);
+            return this.currentWrite;
+        });
+        return this.pendingWrite;
+    }
+
+    async writeFile(rotate) {
+        const data = { ...this.meta, albums: Array.from(this.albums.entries()) };
+        const tmpFile = `${this.file}.tmp`;
+
+        const handle = await fs.open(tmpFile, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (rotate) {
+            await this.rotateBackups();
+        }
+
+        await fs.rename(tmpFile, this.file);
+    }
+
+    // album_cache.json -> .1 -> .2 ... keeping the last `backups` full snapshots
+    async rotateBackups() {
+        if (this.backups < 1) return;
+
+        for (let n = this.backups - 1; n >= 1; n--) {
+            await ignoreMissing(fs.rename(this.backupPath(n), this.backupPath(n + 1)));
+        }
+        await ignoreMissing(fs.copyFile(this.file, this.backupPath(1)));
+    }
+}
+
+// One row per album, with indexed columns for the fields we look albums up by.
+// With `readOnly` the database must exist and is only ever read.
+class SqliteStorage {
+    constructor(file, { importFile = null, readOnly = false } = {}) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The SQLite cache backend requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        this.importFile = importFile;
+        this.readOnly = readOnly;
+        if (readOnly) {
+            this.db = new Database(file, { readonly: true, fileMustExist: true });
+            return;
+        }
+
+        this.db = new Database(file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS albums (
+                key TEXT PRIMARY KEY,
+                artist TEXT,
+                title TEXT,
+                image_key TEXT,
+                release_group_id TEXT,
+                removed_at TEXT,
+                data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS albums_image_key ON albums (image_key);
+            CREATE INDEX IF NOT EXISTS albums_release_group_id ON albums (release_group_id);
+            CREATE INDEX IF NOT EXISTS albums_removed_at ON albums (removed_at);
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+
+        this.upsertAlbum = this.db.prepare(`
+            INSERT INTO albums (key, artist, title, image_key, release_group_id, removed_at, data)
+            VALUES (@key, @artist, @title, @imageKey, @releaseGroupId, @removedAt, @data)
+            ON CONFLICT (key) DO UPDATE SET
+                artist = excluded.artist,
+                title = excluded.title,
+                image_key = excluded.image_key,
+                release_group_id = excluded.release_group_id,
+                removed_at = excluded.removed_at,
+                data = excluded.data
+        `);
+        this.removeAlbum = this.db.prepare('DELETE FROM albums WHERE key = ?');
+        this.upsertMeta = this.db.prepare(`
+            INSERT INTO meta (key, value) VALUES (?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value
+        `);
+
+        this.replaceAll = this.db.transaction((albums, meta) => {
+            this.db.prepare('DELETE FROM albums').run();
+            for (const [key, entry] of albums) {
+                this.upsertAlbum.run(albumRow(key, entry));
+            }
+            this.writeMeta(meta);
+        });
+        this.writeMeta = this.db.transaction((meta) => {
+            for (const [key, value] of Object.entries(meta)) {
+                this.upsertMeta.run(key, JSON.stringify(value));
+            }
+        });
+    }
+
+    async load() {
+        const meta = {};
+        for (const row of this.db.prepare('SELECT key, value FROM meta').all()) {
+            meta[row.key] = JSON.parse(row.value);
+        }
+
+        const albums = this.db.prepare('SELECT key, data FROM albums').all()
+            .map(row => [row.key, JSON.parse(row.data)]);
+
+        if (albums.length === 0 && Object.keys(meta).length === 0) {
+            return this.importJson();
+        }
+
+        return { ...meta, albums };
+    }
+
+    // Switching backends shouldn't look like a first run - carry the JSON cache over
+    async importJson() {
+        if (!this.importFile) return null;
+
+        const data = await new JsonStorage(this.importFile).load();
+        if (!data) return null;
+
+        if (this.readOnly) return data;
+
+        console.log(`Importing ${data.albums?.length || 0} albums from ${this.importFile} into SQLite`);
+        await this.saveAll(data);
+        return data;
+    }
+
+    async saveAll(data) {
+        const { albums = [], ...meta } = data;
+        this.replaceAll(albums, meta);
+    }
+
+    async saveAlbum(key, entry) {
+        this.upsertAlbum.run(albumRow(key, entry));
+    }
+
+    async deleteAlbum(key) {
+        this.removeAlbum.run(key);
+    }
+
+    async saveMeta(meta) {
+        this.writeMeta(meta);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+// Loads through to the real backend but drops every write (dry-run mode)
+class ReadOnlyStorage {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    async load() {
+        return this.storage.load();
+    }
+
+    async saveAll() {}
+
+    async saveAlbum() {}
+
+    async deleteAlbum() {}
+
+    async saveMeta() {}
+
+    async close() {
+        return this.storage.close();
+    }
+}
+
+function albumRow(key, entry) {
+    return {
+        key,
+        artist: entry.artist ?? null,
+        title: entry.title ?? null,
+        imageKey: entry.identity?.imageKey ?? null,
+        releaseGroupId: entry.identity?.releaseGroupId ?? null,
+        removedAt: entry.removedAt ?? null,
+        data: JSON.stringify(entry)
+    };
+}
+
+async function ignoreMissing(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+function createStorage({ backend = 'json', file, jsonFile, backups, readOnly = false }) {
+    let storage;
+    switch (backend) {
+        case 'json':
+            storage = new JsonStorage(file, { backups });
+            break;
+        case 'sqlite':
+            // Opening a database creates it; without one, read what an import would carry over
+            if (readOnly && !existsSync(file)) {
+                storage = new JsonStorage(jsonFile, { backups });
+            } else {
+                storage = new SqliteStorage(file, { importFile: jsonFile, readOnly });
+            }
+            break;
+        default:
+            throw new Error(`Unknown cache backend "${backend}" (expected json or sqlite)`);
+    }
+
+    return readOnly ? new ReadOnlyStorage(storage) : storage;
+}
+
+module.exports = { createStorage, JsonStorage, SqliteStorage, ReadOnlyStorage };
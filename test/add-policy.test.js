@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AddPolicies, artistAddOptions } = require('../lib/add-policy');
+
+const DEFAULTS = {
+    monitor: 'none',
+    rootFolderPath: '/music',
+    qualityProfileId: 1,
+    metadataProfileId: 1,
+    searchForMissingAlbums: false,
+    monitorExistingArtist: false
+};
+
+function withPolicyFile(contents, run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'add-policy-'));
+    const file = path.join(dir, 'add-policies.json');
+    if (contents !== null) fs.writeFileSync(file, contents);
+    return run(file).finally(() => fs.rmSync(dir, { recursive: true, force: true }));
+}
+
+test('load reads the rules from the file, and a missing file means no rules', async () => {
+    await withPolicyFile(JSON.stringify({ rules: [{ name: 'Jazz', genres: ['Jazz'], qualityProfileId: 2 }] }), async file => {
+        const policies = await AddPolicies.load(file);
+        assert.equal(policies.rules.length, 1);
+        assert.deepEqual(policies.rules[0].genres, ['jazz']);
+    });
+    await withPolicyFile(null, async file => {
+        assert.deepEqual((await AddPolicies.load(file)).rules, []);
+    });
+});
+
+test('load rejects files that are not JSON or have no rules array', async () => {
+    await withPolicyFile('{ "rules": [', async file => {
+        await assert.rejects(AddPolicies.load(file), /Could not read add policies/);
+    });
+    await withPolicyFile('{ "rule": [] }', async file => {
+        await assert.rejects(AddPolicies.load(file), /must contain a "rules" array/);
+    });
+});
+
+test('rules are validated, naming the rule at fault', async () => {
+    const invalid = [
+        [{ rootFolderPath: '/music/x' }, /rule 1 has no conditions/],
+        [{ name: 'Bad genres', genres: 'jazz' }, /Bad genres: "genres" must be a list of strings/],
+        [{ artist: '(' }, /rule 1: invalid "artist" pattern/],
+        [{ title: 'x', monitor: 'everything' }, /invalid "monitor" "everything"/],
+        [{ title: 'x', qualityProfileId: '2' }, /invalid "qualityProfileId" "2"/],
+        [{ title: 'x', metadataProfileId: 0 }, /invalid "metadataProfileId" 0/],
+        [{ title: 'x', rootFolderPath: '' }, /invalid "rootFolderPath"/],
+        [{ title: 'x', searchForMissingAlbums: 'yes' }, /invalid "searchForMissingAlbums"/]
+    ];
+
+    for (const [rule, message] of invalid) {
+        await withPolicyFile(JSON.stringify({ rules: [rule] }), async file => {
+            await assert.rejects(AddPolicies.load(file), message);
+        });
+    }
+    assert.throws(() => new AddPolicies([null]), /rule 1 is not an object/);
+});
+
+test('resolve applies the first matching rule over the defaults', () => {
+    const policies = new AddPolicies([
+        { name: 'Classical', genres: ['Classical', 'Opera'], rootFolderPath: '/music/classical', qualityProfileId: 3 },
+        { name: 'Radiohead', artist: '^radiohead$', monitor: 'all', monitorExistingArtist: true },
+        { name: 'Everything live', title: '\\blive\\b', monitor: 'none', rootFolderPath: '/music/live' }
+    ]);
+
+    assert.deepEqual(policies.resolve({ artist: 'Someone', title: 'Album', genres: ['opera'] }, DEFAULTS),
+        { ...DEFAULTS, rootFolderPath: '/music/classical', qualityProfileId: 3, rule: 'Classical' });
+    // Radiohead comes before the live rule
+    assert.deepEqual(policies.resolve({ artist: 'RADIOHEAD', title: 'I Might Be Wrong (Live)', genres: [] }, DEFAULTS),
+        { ...DEFAULTS, monitor: 'all', monitorExistingArtist: true, rule: 'Radiohead' });
+    assert.equal(policies.resolve({ artist: 'Radiohead Tribute', title: 'Live at Home' }, DEFAULTS).rule, 'Everything live');
+    assert.deepEqual(policies.resolve({ artist: 'Someone', title: 'Alive' }, DEFAULTS), { ...DEFAULTS, rule: null });
+});
+
+test('a rule matches only when all its conditions hold', () => {
+    const policies = new AddPolicies([{ name: 'Miles', genres: ['jazz'], artist: 'miles davis', qualityProfileId: 5 }]);
+
+    assert.equal(policies.resolve({ artist: 'Miles Davis', title: 'Kind of Blue', genres: ['Jazz'] }, DEFAULTS).rule, 'Miles');
+    assert.equal(policies.resolve({ artist: 'Miles Davis', title: 'Kind of Blue', genres: ['rock'] }, DEFAULTS).rule, null);
+    assert.equal(policies.resolve({ artist: 'John Coltrane', title: 'Blue Train', genres: ['jazz'] }, DEFAULTS).rule, null);
+});
+
+test('artistAddOptions maps each monitor option to Lidarr\'s monitor and monitorNewItems', () => {
+    const expected = {
+        none: ['none', 'none'],
+        future: ['future', 'all'],
+        existing: ['existing', 'none'],
+        all: ['all', 'all'],
+        unknown: ['none', 'none']
+    };
+
+    for (const [option, [monitor, monitorNewItems]] of Object.entries(expected)) {
+        const fields = artistAddOptions({ ...DEFAULTS, monitor: option });
+        assert.equal(fields.addOptions.monitor, monitor, option);
+        assert.equal(fields.monitorNewItems, monitorNewItems, option);
+    }
+});
+
+test('artistAddOptions carries the root folder, profiles and missing album search', () => {
+    const policy = { ...DEFAULTS, rootFolderPath: '/music/jazz', qualityProfileId: 4, metadataProfileId: 2, searchForMissingAlbums: true };
+
+    assert.deepEqual(artistAddOptions(policy), {
+        monitored: true,
+        monitorNewItems: 'none',
+        rootFolderPath: '/music/jazz',
+        qualityProfileId: 4,
+        metadataProfileId: 2,
+        addOptions: { monitor: 'none', searchForMissingAlbums: true }
+    });
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CACHE_VERSION, albumKey, libraryFingerprint, createIdentity, createAlbumEntry, migrateCache } = require('../lib/album-cache');
+
+test('albumKey is stable across case, accents and punctuation', () => {
+    assert.equal(albumKey('Björk', 'Homogenic'), albumKey('bjork', 'HOMOGENIC'));
+    assert.equal(albumKey('AC/DC', 'Back in Black'), albumKey('AC DC', 'Back in Black!'));
+    assert.notEqual(albumKey('A', 'B C'), albumKey('A B', 'C'));
+    assert.match(albumKey('Artist', 'Title'), /^[0-9a-f]{16}$/);
+});
+
+test('albumKey tells punctuation-only titles apart', () => {
+    assert.notEqual(albumKey('Artist', '...'), albumKey('Artist', '!!!'));
+});
+
+test('createAlbumEntry starts unprocessed with a normalized identity', () => {
+    const entry = createAlbumEntry({ artist: 'Sigur Rós', title: '( )', imageKey: 'img' }, { initialCacheEntry: true });
+    assert.equal(entry.artist, 'Sigur Rós');
+    assert.deepEqual(entry.identity, createIdentity({ artist: 'Sigur Rós', title: '( )', imageKey: 'img' }));
+    assert.equal(entry.identity.artist, 'sigur ros');
+    assert.equal(entry.lidarrProcessed, false);
+    assert.equal(entry.initialCacheEntry, true);
+    assert.equal(entry.removedAt, null);
+});
+
+test('migrateCache upgrades v1 "artist|title" entries', () => {
+    const { albums, lastCacheDate, migrated } = migrateCache({
+        lastCacheDate: '2024-01-01T00:00:00.000Z',
+        albums: [
+            ['Radiohead|OK Computer', {
+                musicBrainzId: 'rg-ok',
+                artistId: 'a-rh',
+                dateFound: '2023-12-01T00:00:00.000Z',
+                lidarrProcessed: true,
+                lastRetry: '2023-12-02T00:00:00.000Z'
+            }],
+            ['Untitled', { initialCacheEntry: true }]
+        ]
+    });
+
+    assert.equal(migrated, true);
+    assert.equal(lastCacheDate, '2024-01-01T00:00:00.000Z');
+    assert.equal(albums.size, 2);
+
+    const ok = albums.get(albumKey('Radiohead', 'OK Computer'));
+    assert.equal(ok.artist, 'Radiohead');
+    assert.equal(ok.title, 'OK Computer');
+    assert.equal(ok.identity.releaseGroupId, 'rg-ok');
+    assert.equal(ok.identity.artistId, 'a-rh');
+    assert.equal(ok.lidarrProcessed, true);
+    assert.equal(ok.lastRetry, '2023-12-02T00:00:00.000Z');
+    assert.equal(ok.dateFound, '2023-12-01T00:00:00.000Z');
+
+    const untitled = albums.get(albumKey('Unknown', 'Untitled'));
+    assert.equal(untitled.initialCacheEntry, true);
+    assert.equal(untitled.identity.releaseGroupId, null);
+    assert.equal('lastRetry' in untitled, false);
+});
+
+test('migrateCache keeps the first of two v1 keys that now collide', () => {
+    const { albums } = migrateCache({
+        albums: [
+            ['Björk|Post', { musicBrainzId: 'first' }],
+            ['bjork|POST', { musicBrainzId: 'second' }]
+        ]
+    });
+    assert.equal(albums.size, 1);
+    assert.equal(albums.get(albumKey('Björk', 'Post')).identity.releaseGroupId, 'first');
+});
+
+test('migrateCache leaves current caches alone and rejects newer ones', () => {
+    const entry = createAlbumEntry({ artist: 'A', title: 'B' });
+    const { albums, migrated } = migrateCache({ version: CACHE_VERSION, albums: [['key', entry]] });
+    assert.equal(migrated, false);
+    assert.equal(albums.get('key'), entry);
+
+    assert.throws(() => migrateCache({ version: CACHE_VERSION + 1, albums: [] }), /Unsupported cache version/);
+});
+
+test('libraryFingerprint ignores order but not membership', () => {
+    const keys = ['a', 'b', 'c'];
+    assert.equal(libraryFingerprint(keys), libraryFingerprint(new Set(['c', 'a', 'b'])));
+    assert.notEqual(libraryFingerprint(keys), libraryFingerprint(['a', 'b', 'd']));
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const RoonLidarrIntegration = require('../index');
+const { Scheduler } = require('../lib/scheduler');
+const { createMetrics } = require('../lib/metrics');
+const { DryRunReport } = require('../lib/dry-run');
+
+test('queueAlbumRetry waits for the running job and checks Lidarr again first', async () => {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    const order = [];
+    integration.scheduler = new Scheduler();
+    integration.lidarrAvailable = false;
+    integration.testLidarrConnection = async () => {
+        order.push('connection check');
+        integration.lidarrAvailable = true;
+        return true;
+    };
+    integration.retryAlbum = async key => {
+        order.push(`retry ${key} (Lidarr ${integration.lidarrAvailable ? 'up' : 'down'})`);
+        return { key };
+    };
+
+    let release;
+    const scanning = new Promise(resolve => { release = resolve; });
+    integration.scheduler.addJob('scan', '@daily', async () => {
+        await scanning;
+        order.push('scan');
+    });
+
+    integration.scheduler.trigger('scan');
+    const retry = integration.queueAlbumRetry('album');
+    release();
+
+    assert.deepEqual(await retry, { key: 'album' });
+    assert.deepEqual(order, ['scan', 'connection check', 'retry album (Lidarr up)']);
+});
+
+test('retryAlbum counts each retry by what it was retried for and how it ended', async () => {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.albumCache = new Map([
+        ['fixed', { artist: 'A', title: 'Fixed', failureClass: 'lidarr_unavailable' }],
+        ['broken', { artist: 'B', title: 'Broken', failureClass: 'lidarr_error' }]
+    ]);
+    integration.metrics = createMetrics(integration);
+    integration.getAlbumState = entry => entry.state;
+    integration.processAlbum = async key => {
+        if (key === 'broken') throw new Error('unexpected');
+        return Object.assign(integration.albumCache.get(key), { state: 'done', failureClass: null });
+    };
+
+    await integration.retryAlbum('fixed');
+    await assert.rejects(integration.retryAlbum('broken'), /unexpected/);
+
+    const { values } = integration.metrics.retries;
+    assert.equal(values.get(JSON.stringify(['lidarr_unavailable', 'done'])), 1);
+    assert.equal(values.get(JSON.stringify(['lidarr_error', 'error'])), 1);
+    assert.equal(values.size, 2);
+});
+
+test('single album retries and undos write a dry-run report of their own', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roon2lidarr-dry-run-'));
+    try {
+        const integration = Object.create(RoonLidarrIntegration.prototype);
+        integration.scheduler = new Scheduler();
+        integration.dryRunReport = new DryRunReport(path.join(dir, 'dry-run-report.json'));
+        integration.testLidarrConnection = async () => true;
+        integration.retryAlbum = async key => integration.dryRunReport.record('searchAlbum', { key });
+        integration.undoLidarrChanges = async key => integration.dryRunReport.record('deleteLidarrItem', { key });
+
+        // A scan's leftover calls must not end up in the album report
+        integration.dryRunReport.begin('scan');
+        integration.dryRunReport.record('addLidarrAlbum', {});
+
+        await integration.queueAlbumRetry('one');
+        const retry = JSON.parse(await fs.readFile(path.join(dir, 'dry-run-report.album.json'), 'utf8'));
+        assert.equal(retry.run, 'album');
+        assert.deepEqual(retry.calls.map(entry => entry.call), ['searchAlbum']);
+
+        await integration.queueLidarrUndo('one', { remove: true });
+        const undo = JSON.parse(await fs.readFile(path.join(dir, 'dry-run-report.album.json'), 'utf8'));
+        assert.deepEqual(undo.calls.map(entry => entry.call), ['deleteLidarrItem']);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
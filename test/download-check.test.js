@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const RoonLidarrIntegration = require('../index');
+const { LidarrClient } = require('../lib/lidarr');
+
+const HOUR = 60 * 60 * 1000;
+const TRACKING = { researchHours: 24, stuckAfter: 3 };
+
+// A Lidarr that knows three albums:
+//   1  has files
+//   2  no files, its last download failed
+//   3  every request for it fails
+const ALBUMS = {
+    1: { id: 1, monitored: true, statistics: { trackFileCount: 10 } },
+    2: { id: 2, monitored: true, statistics: { trackFileCount: 0 } },
+    3: { id: 3, monitored: true, statistics: { trackFileCount: 0 } }
+};
+
+let server;
+let baseUrl;
+let requests;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://lidarr');
+        requests.push(`${req.method} ${url.pathname}${url.search}`);
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        let match;
+        if (req.method === 'GET' && (match = url.pathname.match(/^\/api\/v1\/album\/(\d+)$/))) {
+            const album = ALBUMS[match[1]];
+            if (match[1] === '3') return reply(400, { message: 'Something Lidarr dislikes' });
+            return album ? reply(200, album) : reply(404, { message: 'NotFound' });
+        }
+        if (req.method === 'GET' && url.pathname === '/api/v1/history') {
+            const records = url.searchParams.get('albumId') === '2'
+                ? [{ eventType: 'downloadFailed', date: new Date(Date.now() - HOUR).toISOString(), sourceTitle: 'Album.2.FLAC', data: { message: 'Stalled' } }]
+                : [];
+            return reply(200, { page: 1, pageSize: 50, totalRecords: records.length, records });
+        }
+        if (req.method === 'POST' && url.pathname === '/api/v1/command') {
+            return reply(201, { id: 99, name: 'AlbumSearch', status: 'queued' });
+        }
+        reply(404, { message: 'NotFound' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function trackedEntry(albumId, { hoursAgo = 48 } = {}) {
+    const searched = new Date(Date.now() - hoursAgo * HOUR).toISOString();
+    return {
+        artist: `Artist ${albumId}`,
+        title: `Album ${albumId}`,
+        identity: { releaseGroupId: `rg-${albumId}` },
+        lidarrProcessed: true,
+        removedAt: null,
+        download: {
+            status: 'searching',
+            albumId,
+            commandId: null,
+            searches: 1,
+            ungrabbedSearches: 1,
+            startedAt: searched,
+            lastSearch: searched,
+            nextSearch: new Date(Date.now() - HOUR).toISOString(),
+            lastChecked: null,
+            releaseTitle: null,
+            downloadId: null,
+            error: null,
+            importedAt: null
+        }
+    };
+}
+
+// Just enough of the integration for the download check, talking to the fake Lidarr
+function createIntegration(entries) {
+    requests = [];
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    Object.assign(integration, {
+        albumCache: new Map(Object.entries(entries)),
+        lidarr: new LidarrClient({ baseUrl, apiKey: 'key', retries: 1 }),
+        dryRun: false,
+        dryRunReport: null,
+        downloadTracking: TRACKING,
+        saved: []
+    });
+    integration.saveAlbum = async (key) => integration.saved.push(key);
+    return integration;
+}
+
+test('checkDownload marks an album with files as imported', async () => {
+    const integration = createIntegration({ one: trackedEntry(1) });
+    const entry = await integration.checkDownload('one', []);
+
+    assert.equal(entry.download.status, 'imported');
+    assert.ok(entry.download.importedAt);
+    assert.deepEqual(integration.saved, ['one']);
+    assert.ok(!requests.some(request => request.startsWith('POST')));
+});
+
+test('checkDownload reads the album history and searches again after a failed download', async () => {
+    const integration = createIntegration({ two: trackedEntry(2) });
+    const entry = await integration.checkDownload('two', []);
+
+    assert.ok(requests.includes('GET /api/v1/history?albumId=2&page=1&pageSize=50&sortKey=date&sortDirection=descending'));
+    assert.ok(requests.includes('POST /api/v1/command'));
+    assert.equal(entry.download.status, 'searching');
+    assert.equal(entry.download.searches, 2);
+    assert.equal(entry.download.commandId, 99);
+    assert.equal(entry.download.releaseTitle, 'Album.2.FLAC');
+    assert.ok(new Date(entry.download.nextSearch) > new Date());
+});
+
+test('checkDownload marks an album removed from Lidarr as gone', async () => {
+    const integration = createIntegration({ gone: trackedEntry(404) });
+    const entry = await integration.checkDownload('gone', []);
+
+    assert.equal(entry.download.status, 'gone');
+    assert.ok(!requests.some(request => request.includes('/history')));
+});
+
+test('checkDownload treats a queued release as grabbed without searching', async () => {
+    const integration = createIntegration({ two: trackedEntry(2) });
+    const entry = await integration.checkDownload('two', [
+        { albumId: 2, title: 'Album.2.MP3', status: 'downloading', trackedDownloadStatus: 'ok' },
+        { albumId: 7, title: 'Someone else' }
+    ]);
+
+    assert.equal(entry.download.status, 'grabbed');
+    assert.equal(entry.download.releaseTitle, 'Album.2.MP3');
+    assert.ok(!requests.includes('POST /api/v1/command'));
+});
+
+test('checkDownloads carries on past an album Lidarr fails on', async () => {
+    const integration = createIntegration({
+        bad: trackedEntry(3),
+        one: trackedEntry(1),
+        two: trackedEntry(2)
+    });
+    integration.canProcess = () => true;
+    integration.testLidarrConnection = async () => true;
+    integration.setStatus = () => {};
+    integration.lidarr.queue = async () => [];
+
+    assert.equal(await integration.checkDownloads(), true);
+    assert.equal(integration.albumCache.get('bad').download.status, 'searching');
+    assert.equal(integration.albumCache.get('one').download.status, 'imported');
+    assert.equal(integration.albumCache.get('two').download.searches, 2);
+    assert.deepEqual(integration.saved, ['one', 'two']);
+});
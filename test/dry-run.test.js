@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { DryRunReport } = require('../lib/dry-run');
+
+test('each kind of run writes its own report', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roon2lidarr-dry-run-'));
+    try {
+        const report = new DryRunReport(path.join(dir, 'dry-run-report.json'));
+
+        report.begin('full-scan');
+        report.setAlbum({ artist: 'Artist', title: 'Album' });
+        report.record('addLidarrAlbum', { foreignAlbumId: 'rg' });
+        await report.write();
+
+        report.begin('scan');
+        await report.write();
+
+        assert.deepEqual((await fs.readdir(dir)).sort(), ['dry-run-report.full-scan.json', 'dry-run-report.scan.json']);
+        const full = JSON.parse(await fs.readFile(path.join(dir, 'dry-run-report.full-scan.json'), 'utf8'));
+        assert.equal(full.run, 'full-scan');
+        assert.equal(full.albums, 1);
+        assert.deepEqual(full.calls[0].album, { artist: 'Artist', title: 'Album' });
+        const quick = JSON.parse(await fs.readFile(path.join(dir, 'dry-run-report.scan.json'), 'utf8'));
+        assert.deepEqual(quick.calls, []);
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
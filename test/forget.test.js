@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RoonLidarrIntegration = require('../index');
+const { createAlbumEntry } = require('../lib/album-cache');
+const { VARIOUS_ARTISTS_MBID } = require('../lib/matching');
+
+// An integration whose MusicBrainz search runs `during` before answering with `candidate`
+function fakeIntegration(candidate, during) {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.albumCache = new Map([['album', createAlbumEntry({ artist: 'Artist', title: 'Title' })]]);
+    integration.saved = [];
+    integration.storage = {
+        saveAlbum: async key => integration.saved.push(key),
+        deleteAlbum: async () => {}
+    };
+    integration.compilationMode = 'skip';
+    integration.matchThresholds = { accept: 0.8, review: 0.5 };
+    integration.retryDelayDays = 7;
+    integration.loadAlbumDetails = async () => ({});
+    integration.searchMusicBrainz = async () => {
+        await during(integration);
+        return { candidates: [candidate], strategies: [] };
+    };
+    integration.addToLidarr = async () => ({ albumId: 1 });
+    return integration;
+}
+
+const match = { artistId: 'artist-mbid', releaseGroupId: 'rg', artistName: 'Artist', title: 'Title', confidence: 0.95 };
+
+test('an album forgotten while it is being processed is not written back', async () => {
+    const integration = fakeIntegration(match, integration => integration.forgetAlbum('album'));
+
+    await integration.processAlbum('album');
+
+    assert.equal(integration.albumCache.has('album'), false);
+    assert.deepEqual(integration.saved, []);
+});
+
+test('a compilation forgotten while it is being looked up is not written back', async () => {
+    const integration = fakeIntegration({ ...match, artistId: VARIOUS_ARTISTS_MBID }, integration => integration.forgetAlbum('album'));
+
+    const entry = await integration.processAlbum('album');
+
+    assert.ok(entry.skipped);
+    assert.equal(integration.albumCache.has('album'), false);
+    assert.deepEqual(integration.saved, []);
+});
+
+test('an override set while the album is being processed is kept', async () => {
+    const integration = fakeIntegration(match, integration => integration.setAlbumOverride('album', { ignore: true }));
+
+    await integration.processAlbum('album');
+
+    assert.equal(integration.albumCache.get('album').override.ignore, true);
+    assert.deepEqual(integration.saved, ['album', 'album']);
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+    LidarrClient,
+    LidarrError,
+    LidarrAuthError,
+    LidarrValidationError,
+    LidarrNotFoundError,
+    LidarrUnavailableError
+} = require('../lib/lidarr');
+
+// A Lidarr behind a reverse proxy at /lidarr, answering every request with
+// `reply` - set per test - and recording what it was asked
+let server;
+let baseUrl;
+let reply;
+let requests;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        const [status, body] = reply(req);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/lidarr`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function client(options = {}) {
+    requests = [];
+    return new LidarrClient({ baseUrl, apiKey: 'key', retries: 2, ...options });
+}
+
+test('requests keep the URL base, with or without a trailing slash or /api/v1', async () => {
+    reply = () => [200, { version: '2.0' }];
+
+    for (const url of [baseUrl, `${baseUrl}/`, `${baseUrl}/api/v1`]) {
+        const lidarr = client({ baseUrl: url });
+        assert.deepEqual(await lidarr.status(), { version: '2.0' });
+        assert.deepEqual(requests, ['GET /lidarr/api/v1/system/status']);
+    }
+});
+
+test('error responses map to typed errors with Lidarr\'s message', async () => {
+    const cases = [
+        [401, LidarrAuthError, 'lidarr_unavailable'],
+        [403, LidarrAuthError, 'lidarr_unavailable'],
+        [404, LidarrNotFoundError, 'lidarr_error'],
+        [400, LidarrValidationError, 'lidarr_error'],
+        [409, LidarrValidationError, 'lidarr_error'],
+        [422, LidarrValidationError, 'lidarr_error'],
+        [418, LidarrError, 'lidarr_error']
+    ];
+
+    for (const [status, type, failureClass] of cases) {
+        reply = () => [status, { message: `Refused with ${status}` }];
+        await assert.rejects(client().post('/artist', {}), error => {
+            assert.equal(error.constructor, type, `HTTP ${status}`);
+            assert.equal(error.status, status);
+            assert.equal(error.failureClass, failureClass);
+            assert.match(error.message, new RegExp(`Refused with ${status}`));
+            return true;
+        });
+    }
+});
+
+test('validation errors carry Lidarr\'s list of failures and are not retried', async () => {
+    reply = () => [400, [{ propertyName: 'Path', errorMessage: 'Path is already configured' }]];
+    const lidarr = client();
+
+    await assert.rejects(lidarr.put('/artist/1', {}), error => {
+        assert.ok(error instanceof LidarrValidationError);
+        assert.deepEqual(error.errors.map(failure => failure.propertyName), ['Path']);
+        assert.match(error.message, /Path is already configured/);
+        return true;
+    });
+    assert.equal(requests.length, 1);
+});
+
+test('a GET is retried when Lidarr is unavailable', async () => {
+    reply = () => requests.length === 1 ? [503, { message: 'Starting up' }] : [200, [{ id: 1 }]];
+    const lidarr = client();
+
+    assert.deepEqual(await lidarr.get('/artist'), [{ id: 1 }]);
+    assert.deepEqual(requests, ['GET /lidarr/api/v1/artist', 'GET /lidarr/api/v1/artist']);
+});
+
+test('a POST is not retried, as it may have gone through', async () => {
+    for (const status of [500, 503, 429]) {
+        reply = () => [status, { message: 'Overloaded' }];
+        const lidarr = client();
+
+        await assert.rejects(lidarr.command('AlbumSearch', { albumIds: [1] }), LidarrUnavailableError);
+        assert.deepEqual(requests, ['POST /lidarr/api/v1/command']);
+    }
+});
+
+test('an unreachable Lidarr is unavailable', async () => {
+    const lidarr = client({ baseUrl: 'http://127.0.0.1:1', retries: 1 });
+    await assert.rejects(lidarr.get('/system/status'), LidarrUnavailableError);
+});
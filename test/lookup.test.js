@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LOOKUP_STRATEGIES, MAX_BROWSE_PAGES } = require('../lib/lookup');
+
+const artistBrowse = LOOKUP_STRATEGIES.find(strategy => strategy.name === 'artist-browse');
+
+// A MusicBrainz client for an artist with `count` release groups, recording its requests
+function fakeClient(count) {
+    const client = { requests: [] };
+    client.get = async (resource, params) => {
+        client.requests.push({ resource, ...params });
+        if (resource === 'artist') {
+            return { artists: [{ id: 'artist-1', name: 'Artist', score: 100 }] };
+        }
+        const offset = params.offset || 0;
+        const ids = Array.from({ length: Math.max(0, Math.min(params.limit, count - offset)) }, (_, i) => offset + i);
+        return {
+            'release-group-count': count,
+            'release-groups': ids.map(id => ({ id: `rg-${id}`, title: `Album ${id}`, 'primary-type': 'Album' }))
+        };
+    };
+    return client;
+}
+
+test('artist-browse pages through all of an artist\'s release groups', async () => {
+    const client = fakeClient(250);
+
+    const releases = await artistBrowse.search(client, { artist: 'Artist', title: 'Album' });
+
+    assert.equal(releases.length, 250);
+    assert.equal(releases.at(-1)['release-group'].id, 'rg-249');
+    assert.deepEqual(client.requests.filter(request => request.resource === 'release-group').map(request => request.offset), [0, 100, 200]);
+});
+
+test('artist-browse stops after one request when a page is not full', async () => {
+    const client = fakeClient(100);
+
+    assert.equal((await artistBrowse.search(client, { artist: 'Artist', title: 'Album' })).length, 100);
+    assert.equal(client.requests.filter(request => request.resource === 'release-group').length, 1);
+});
+
+test('artist-browse stops after MAX_BROWSE_PAGES for very prolific artists', async () => {
+    const client = fakeClient(5000);
+
+    const releases = await artistBrowse.search(client, { artist: 'Artist', title: 'Album' });
+
+    assert.equal(releases.length, MAX_BROWSE_PAGES * 100);
+    assert.equal(client.requests.filter(request => request.resource === 'release-group').length, MAX_BROWSE_PAGES);
+});
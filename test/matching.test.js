@@ -0,0 +1,172 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    VARIOUS_ARTISTS_MBID,
+    isVariousArtists,
+    splitArtists,
+    leadCredit,
+    normalizeForMatching,
+    stripEdition,
+    similarity,
+    scoreRelease,
+    rankReleases,
+    classifyConfidence
+} = require('../lib/matching');
+
+function credit(id, name, joinphrase = '') {
+    return { name, joinphrase, artist: { id, name, 'sort-name': name } };
+}
+
+function release({ id = 'r1', title, credits, groupId = 'rg1', primaryType = 'Album', secondaryTypes = [], status = 'Official', tracks = null }) {
+    return {
+        id,
+        title,
+        status,
+        'track-count': tracks,
+        'artist-credit': credits,
+        'release-group': { id: groupId, 'primary-type': primaryType, 'secondary-types': secondaryTypes }
+    };
+}
+
+test('normalizeForMatching folds case, diacritics and punctuation', () => {
+    assert.equal(normalizeForMatching('Björk'), 'bjork');
+    assert.equal(normalizeForMatching('Motörhead'), 'motorhead');
+    assert.equal(normalizeForMatching('Don\'t Stop—Believin\''), 'dont stop believin');
+    assert.equal(normalizeForMatching('Straße'), 'strasse');
+    assert.equal(normalizeForMatching('坂本龍一'), '坂本龍一');
+});
+
+test('stripEdition removes edition and remaster suffixes', () => {
+    assert.equal(stripEdition('Abbey Road (Remastered 2009)'), 'Abbey Road');
+    assert.equal(stripEdition('Rumours [Super Deluxe]'), 'Rumours');
+    assert.equal(stripEdition('Blue - 2011 Remaster'), 'Blue');
+    assert.equal(stripEdition('Live at Leeds'), 'Live at Leeds');
+});
+
+test('similarity ranks exact above containment above unrelated', () => {
+    assert.equal(similarity('ok computer', 'ok computer'), 1);
+    const contained = similarity('ok computer', 'ok computer oknotok 1997 2017');
+    assert.ok(contained >= 0.85 && contained < 1);
+    assert.ok(similarity('ok computer', 'kid a') < 0.5);
+    assert.equal(similarity('', 'anything'), 0);
+});
+
+test('splitArtists and isVariousArtists', () => {
+    assert.deepEqual(splitArtists('Simon & Garfunkel'), ['Simon', 'Garfunkel']);
+    assert.deepEqual(splitArtists('Artist feat. Guest'), ['Artist', 'Guest']);
+    assert.equal(isVariousArtists('Various Artists'), true);
+    assert.equal(isVariousArtists('V.A.'), true);
+    assert.equal(isVariousArtists('The Various'), false);
+});
+
+test('leadCredit never picks a featured guest', () => {
+    const credits = [credit('a', 'Main', ' feat. '), credit('b', 'Guest')];
+    assert.equal(leadCredit('Guest', credits).artist.id, 'a');
+});
+
+test('leadCredit picks the credit matching the Roon artist', () => {
+    const credits = [credit('a', 'First', ' & '), credit('b', 'Second')];
+    assert.equal(leadCredit('Second', credits).artist.id, 'b');
+    assert.equal(leadCredit('Someone Else', credits).artist.id, 'a');
+    assert.equal(leadCredit('Anyone', []), null);
+});
+
+test('scoreRelease scores an exact match as confident', () => {
+    const { confidence, signals } = scoreRelease(
+        { title: 'OK Computer', artist: 'Radiohead', trackCount: 12 },
+        release({ title: 'OK Computer', credits: [credit('rh', 'Radiohead')], tracks: 12 })
+    );
+    assert.equal(confidence, 1);
+    assert.equal(signals.tracks, 1);
+    assert.equal(classifyConfidence(confidence), 'accept');
+});
+
+test('scoreRelease leaves out signals Roon gave no value for', () => {
+    const { confidence, signals } = scoreRelease(
+        { title: 'OK Computer', artist: 'Radiohead' },
+        release({ title: 'OK Computer', credits: [credit('rh', 'Radiohead')], tracks: 12 })
+    );
+    assert.equal(signals.tracks, null);
+    assert.equal(confidence, 1);
+});
+
+test('scoreRelease marks down unexpected release types and statuses', () => {
+    const album = { title: 'Greatest Songs', artist: 'Band' };
+    const credits = [credit('b', 'Band')];
+    const plain = scoreRelease(album, release({ title: 'Greatest Songs', credits })).confidence;
+    const live = scoreRelease(album, release({ title: 'Greatest Songs', credits, secondaryTypes: ['Live'] })).confidence;
+    const bootleg = scoreRelease(album, release({ title: 'Greatest Songs', credits, status: 'Bootleg' })).confidence;
+
+    assert.ok(live < plain);
+    assert.ok(bootleg < live);
+});
+
+test('scoreRelease does not mark down a type the Roon title hints at', () => {
+    const { signals } = scoreRelease(
+        { title: 'Live at Leeds', artist: 'The Who' },
+        release({ title: 'Live at Leeds', credits: [credit('w', 'The Who')], secondaryTypes: ['Live'] })
+    );
+    assert.equal(signals.type, 1);
+});
+
+test('scoreRelease matches artists by sort name and across joined credits', () => {
+    const sortName = scoreRelease(
+        { title: 'Abbey Road', artist: 'Beatles, The' },
+        release({ title: 'Abbey Road', credits: [credit('b', 'The Beatles')] })
+    );
+    assert.equal(sortName.signals.artist, 1);
+
+    const duo = scoreRelease(
+        { title: 'Bookends', artist: 'Garfunkel & Simon' },
+        release({ title: 'Bookends', credits: [credit('s', 'Simon', ' & '), credit('g', 'Garfunkel')] })
+    );
+    assert.equal(duo.signals.artist, 1);
+});
+
+test('rankReleases keeps the best release of each release group, best first', () => {
+    const credits = [credit('rh', 'Radiohead')];
+    const candidates = rankReleases({ title: 'Kid A', artist: 'Radiohead', trackCount: 10 }, [
+        release({ id: 'r1', title: 'Kid A', credits, groupId: 'kid-a', tracks: 11 }),
+        release({ id: 'r2', title: 'Kid A', credits, groupId: 'kid-a', tracks: 10 }),
+        release({ id: 'r3', title: 'Kid A Mnesia', credits, groupId: 'mnesia', tracks: 34 }),
+        release({ id: 'r4', title: 'Kid A', credits: [{ name: 'Nobody' }], groupId: 'no-artist-id' })
+    ]);
+
+    assert.deepEqual(candidates.map(candidate => candidate.releaseGroupId), ['kid-a', 'mnesia']);
+    assert.equal(candidates[0].trackCount, 10);
+    assert.equal(candidates[0].artistId, 'rh');
+    assert.ok(candidates[0].confidence > candidates[1].confidence);
+});
+
+test('rankReleases files compilations under Various Artists', () => {
+    const [candidate] = rankReleases({ title: 'Now 100', artist: 'Various Artists' }, [
+        release({ title: 'Now 100', credits: [credit(VARIOUS_ARTISTS_MBID, 'Various Artists')], secondaryTypes: ['Compilation'] })
+    ]);
+    assert.equal(candidate.artistId, VARIOUS_ARTISTS_MBID);
+});
+
+test('classifyConfidence uses the given thresholds', () => {
+    assert.equal(classifyConfidence(0.8), 'accept');
+    assert.equal(classifyConfidence(0.6), 'review');
+    assert.equal(classifyConfidence(0.5), 'reject');
+    assert.equal(classifyConfidence(0.1), 'reject');
+    assert.equal(classifyConfidence(0.8, { accept: 0.9, review: 0.85 }), 'reject');
+});
+
+test('the default thresholds accept the right album, review the right title and reject other albums', () => {
+    const verdict = (album, title, artist, tracks = null) =>
+        classifyConfidence(scoreRelease(album, release({ title, credits: [credit('a', artist)], tracks })).confidence);
+    const okComputer = { title: 'OK Computer', artist: 'Radiohead' };
+
+    assert.equal(verdict(okComputer, 'OK Computer', 'Radiohead'), 'accept');
+    assert.equal(verdict(okComputer, 'OK Computer OKNOTOK 1997 2017', 'Radiohead'), 'accept');
+    // A track count that doesn't match, e.g. a deluxe edition, isn't enough to turn it down
+    assert.equal(verdict({ ...okComputer, trackCount: 12 }, 'OK Computer', 'Radiohead', 23), 'accept');
+
+    assert.equal(verdict(okComputer, 'OK Computer', 'Coldplay'), 'review');
+    assert.equal(verdict({ title: 'Blue', artist: 'Joni Mitchell' }, 'Blue', 'Weezer'), 'review');
+
+    for (const other of ['Kid A', 'The Bends', 'Hail to the Thief']) {
+        assert.equal(verdict(okComputer, other, 'Radiohead'), 'reject', other);
+    }
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MusicBrainzClient, MusicBrainzError } = require('../lib/musicbrainz');
+
+// A MusicBrainz whose answer to /ws/2/<resource> is set per test in `routes`:
+// a function (req, res, hit) where `hit` counts requests for that resource
+let server;
+let baseUrl;
+let routes;
+let hits;
+let times;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const resource = new URL(req.url, 'http://musicbrainz').pathname.replace('/ws/2/', '');
+        hits[resource] = (hits[resource] || 0) + 1;
+        times.push(Date.now());
+        const route = routes[resource];
+        if (!route) {
+            res.writeHead(404).end('{}');
+            return;
+        }
+        route(req, res, hits[resource]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(newRoutes) {
+    routes = newRoutes;
+    hits = {};
+    times = [];
+}
+
+function json(res, body, status = 200, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function client(options = {}) {
+    return new MusicBrainzClient({ baseUrl, userAgent: 'test', rate: 1000, ...options });
+}
+
+test('get resolves to the parsed JSON and asks for JSON', async () => {
+    let query;
+    reset({ 'release-group': (req, res) => { query = new URL(req.url, baseUrl).searchParams; json(res, { count: 1 }); } });
+
+    assert.deepEqual(await client().get('release-group', { query: 'title' }), { count: 1 });
+    assert.equal(query.get('query'), 'title');
+    assert.equal(query.get('fmt'), 'json');
+});
+
+test('a 404 resolves to null', async () => {
+    reset({});
+    assert.equal(await client().get('release-group/unknown'), null);
+});
+
+test('clients with the same server and rate share one token bucket', async () => {
+    reset({ artist: (req, res) => json(res, {}) });
+    const options = { baseUrl, rate: 10 };
+    const first = new MusicBrainzClient({ userAgent: 'test', ...options });
+    const second = new MusicBrainzClient({ userAgent: 'test', ...options });
+
+    await Promise.all([first.get('artist'), second.get('artist'), first.get('artist')]);
+
+    assert.equal(times.length, 3);
+    for (let i = 1; i < times.length; i++) {
+        assert.ok(times[i] - times[i - 1] >= 90, `requests ${times[i] - times[i - 1]}ms apart`);
+    }
+});
+
+test('a 503 is retried after the Retry-After the server asks for', async () => {
+    reset({
+        artist: (req, res, hit) => hit === 1
+            ? json(res, { error: 'slow down' }, 503, { 'Retry-After': '1' })
+            : json(res, { ok: true })
+    });
+
+    const start = Date.now();
+    assert.deepEqual(await client().get('artist'), { ok: true });
+    assert.equal(hits.artist, 2);
+    assert.ok(Date.now() - start >= 900);
+});
+
+test('a 429 is retried too, and repeated ones give up with a MusicBrainzError', async () => {
+    reset({ artist: (req, res) => json(res, {}, 429, { 'Retry-After': '0' }) });
+
+    await assert.rejects(client({ retries: 2 }).get('artist'), error => {
+        assert.ok(error instanceof MusicBrainzError);
+        assert.equal(error.status, 429);
+        assert.equal(error.failureClass, 'musicbrainz_error');
+        return true;
+    });
+    assert.equal(hits.artist, 2);
+});
+
+test('other errors, bad JSON, timeouts and network errors reject with a MusicBrainzError', async () => {
+    reset({
+        server: (req, res) => json(res, {}, 500),
+        garbled: (req, res) => json(res, '{"not json'),
+        slow: (req, res) => setTimeout(() => json(res, {}), 500),
+        dropped: req => req.socket.destroy()
+    });
+    const mb = client({ timeout: 100, retries: 1 });
+
+    await assert.rejects(mb.get('server'), { name: 'MusicBrainzError', status: 500 });
+    await assert.rejects(mb.get('garbled'), { name: 'MusicBrainzError', message: /invalid JSON/ });
+    await assert.rejects(mb.get('slow'), { name: 'MusicBrainzError', message: /timed out/ });
+    await assert.rejects(mb.get('dropped'), { name: 'MusicBrainzError', message: /request failed/ });
+    assert.equal(hits.server, 1);
+});
+
+test('responses are cached on disk until they are older than the TTL', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mb-cache-'));
+    try {
+        reset({ artist: (req, res, hit) => json(res, { hit }) });
+        const mb = client({ cacheDir, cacheTtlHours: 1 });
+
+        assert.deepEqual(await mb.get('artist', { inc: 'aliases' }), { hit: 1 });
+        assert.deepEqual(await mb.get('artist', { inc: 'aliases' }), { hit: 1 });
+        assert.deepEqual(await mb.get('artist', { inc: 'tags' }), { hit: 2 });
+        assert.equal(hits.artist, 2);
+
+        // Age the cached response past the TTL
+        const url = `${mb.baseUrl}/ws/2/artist?inc=aliases&fmt=json`;
+        const file = mb.cachePath(url);
+        const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+        entry.fetchedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+        fs.writeFileSync(file, JSON.stringify(entry));
+
+        assert.deepEqual(await mb.get('artist', { inc: 'aliases' }), { hit: 3 });
+    } finally {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Notifiers, Digest } = require('../lib/notifiers');
+
+// Records every POST; /fail answers with a 500
+let server;
+let baseUrl;
+let received;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            received.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(req.url === '/fail' ? 500 : 200).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const album = (artist, title) => ({ key: `${artist}-${title}`, artist, title });
+
+test('Digest sorts albums into sections and summarizes them in the title', () => {
+    const digest = new Digest();
+    assert.equal(digest.empty, true);
+
+    digest.recordAdded(album('A', 'New'));
+    digest.recordAdded(album('B', 'Old'), true);
+    digest.recordFailure(album('C', 'Unknown'), 'musicbrainz_no_match', 'No matching release on MusicBrainz');
+    digest.recordFailure(album('D', 'Unsure'), 'musicbrainz_low_confidence', 'Best match has confidence 0.5');
+    digest.recordFailure(album('E', 'Broken'), 'lidarr_error', 'Lidarr said no');
+    assert.equal(digest.empty, false);
+
+    const message = digest.toMessage();
+    assert.equal(message.event, 'digest');
+    assert.equal(message.title, 'roon2lidarr: 1 added, 1 already in Lidarr, 1 not found, 1 to review, 1 failed');
+    assert.match(message.text, /^Added to Lidarr \(1\):\n {2}• A - New$/m);
+    assert.match(message.text, /Lidarr failures \(1\):\n {2}• E - Broken: Lidarr said no/);
+    assert.deepEqual(message.data.review, [{ key: 'D-Unsure', artist: 'D', title: 'Unsure', failureClass: 'musicbrainz_low_confidence', error: 'Best match has confidence 0.5' }]);
+});
+
+test('Digest leaves empty sections out', () => {
+    const digest = new Digest();
+    digest.recordAdded(album('A', 'New'));
+
+    const message = digest.toMessage();
+    assert.equal(message.title, 'roon2lidarr: 1 added');
+    assert.equal(message.text, 'Added to Lidarr (1):\n  • A - New');
+});
+
+test('notify sends to the notifiers that want the event, and a failing one does not stop the others', async () => {
+    received = [];
+    const notifiers = new Notifiers({
+        notifiers: [
+            { type: 'webhook', url: `${baseUrl}/fail` },
+            { type: 'webhook', url: `${baseUrl}/webhook`, headers: { 'X-Token': 't' } },
+            { type: 'ntfy', url: `${baseUrl}/ntfy`, events: ['lidarr_unreachable'] },
+            { type: 'slack', url: `${baseUrl}/slack`, events: ['digest'] }
+        ]
+    });
+    const message = { event: 'digest', title: 'Title', text: 'Text', data: { added: [] } };
+
+    assert.equal(await notifiers.notify(message), 2);
+    assert.deepEqual(received.map(request => request.path), ['/fail', '/webhook', '/slack']);
+    assert.deepEqual(JSON.parse(received[1].body), { event: 'digest', title: 'Title', text: 'Text', added: [] });
+    assert.equal(received[1].headers['x-token'], 't');
+    assert.deepEqual(JSON.parse(received[2].body), { text: '*Title*\nText' });
+});
+
+test('alerts go out with a high priority, and test messages reach every notifier', async () => {
+    received = [];
+    const notifiers = new Notifiers({
+        notifiers: [
+            { type: 'ntfy', url: `${baseUrl}/ntfy`, token: 'tk', events: ['lidarr_unreachable'] },
+            { type: 'gotify', url: `${baseUrl}/gotify/`, token: 'app', events: ['digest'] }
+        ]
+    });
+
+    assert.equal(await notifiers.notify({ event: 'lidarr_unreachable', title: 'Down', text: 'Lidarr is down' }), 1);
+    assert.equal(received[0].headers.priority, 'high');
+    assert.equal(received[0].headers.authorization, 'Bearer tk');
+    assert.equal(received[0].body, 'Lidarr is down');
+
+    received = [];
+    assert.equal(await notifiers.notify({ event: 'test', title: 'Test', text: 'Hello' }), 2);
+    assert.deepEqual(received.map(request => request.path), ['/ntfy', '/gotify/message']);
+    assert.equal(received[1].headers['x-gotify-key'], 'app');
+    assert.deepEqual(JSON.parse(received[1].body), { title: 'Test', message: 'Hello', priority: 4 });
+});
+
+test('notifier configs are validated', () => {
+    assert.throws(() => new Notifiers({ notifiers: [{ type: 'pager' }] }), /pager 1: unknown type "pager"/);
+    assert.throws(() => new Notifiers({ notifiers: [{ type: 'gotify', url: 'http://x' }] }), /gotify 1: missing token/);
+    assert.throws(() => new Notifiers({ notifiers: [{ type: 'ntfy', url: 'http://x', events: ['everything'] }] }), /"events" must be a list/);
+    assert.throws(() => new Notifiers({ notifiers: [{ name: 'Mail', type: 'email', host: 'smtp' }] }), /Mail: missing from, to/);
+});
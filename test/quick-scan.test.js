@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RoonLidarrIntegration = require('../index');
+const { albumKey } = require('../lib/album-cache');
+
+const ALBUMS_LEVEL = 1;
+const RECENT_LEVEL = 2;
+
+// An integration whose Roon library is `library` ([artist, title] pairs). Unless
+// `recent` lists them newest first, there is no date-sorted list and quick
+// checks fall back to the Albums list.
+function fakeIntegration(library, { recent = null, fingerprint = false } = {}) {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.albumCache = new Map();
+    integration.library = library;
+    integration.recent = recent;
+    integration.quickCheckFingerprint = fingerprint;
+    integration.processed = [];
+    integration.loads = [];
+    integration.openRecentAlbumsList = async () => integration.recent &&
+        ({ action: 'list', list: { count: integration.recent.length, level: RECENT_LEVEL } });
+    integration.openAlbumsList = async () => ({ action: 'list', list: { count: integration.library.length, level: ALBUMS_LEVEL } });
+    integration.loadBrowseItems = async (level, offset) => {
+        integration.loads.push([level, offset]);
+        return (level === RECENT_LEVEL ? integration.recent : integration.library)
+            .slice(offset, offset + 100)
+            .map(([artist, title]) => ({ title, subtitle: artist }));
+    };
+    integration.scanRoonLibrary = async () => { throw new Error('unexpected full scan'); };
+    integration.processNewAlbums = async albums => { integration.processed.push(...albums.map(album => album.title)); };
+    integration.saveCache = async () => {};
+    integration.setStatus = () => {};
+    integration.delay = async () => {};
+    return integration;
+}
+
+async function seed(integration) {
+    const albums = integration.library.map(([artist, title]) => ({ artist, title, imageKey: null }));
+    await integration.commitScan({ startedAt: new Date().toISOString(), offset: albums.length, total: albums.length, albums });
+}
+
+test('quickScan without a date-sorted list leaves an unchanged count to the full scan', async () => {
+    const integration = fakeIntegration([['A', 'One'], ['B', 'Two']]);
+    await seed(integration);
+
+    integration.library = [['A', 'One'], ['C', 'Three']];
+    await integration.quickScan();
+
+    assert.deepEqual(integration.processed, []);
+    assert.deepEqual(integration.loads, []);
+    assert.equal(integration.lastScanNewCount, 0);
+});
+
+test('quickScan with QUICK_CHECK_FINGERPRINT finds nothing when the album list is unchanged', async () => {
+    const integration = fakeIntegration([['A', 'One'], ['B', 'Two']], { fingerprint: true });
+    await seed(integration);
+
+    integration.library = [['B', 'Two'], ['A', 'One']];
+    await integration.quickScan();
+
+    assert.deepEqual(integration.processed, []);
+    assert.equal(integration.lastScanNewCount, 0);
+});
+
+test('quickScan with QUICK_CHECK_FINGERPRINT catches an album added and another removed', async () => {
+    const integration = fakeIntegration([['A', 'One'], ['B', 'Two']], { fingerprint: true });
+    await seed(integration);
+
+    integration.library = [['A', 'One'], ['C', 'Three']];
+    await integration.quickScan();
+
+    assert.deepEqual(integration.processed, ['Three']);
+    assert.ok(integration.albumCache.get(albumKey('B', 'Two')).removedAt);
+    assert.equal(integration.albumCache.get(albumKey('A', 'One')).removedAt, null);
+});
+
+test('quickScan without a date-sorted list runs a full scan when the album count changed', async () => {
+    const integration = fakeIntegration([['A', 'One']]);
+    await seed(integration);
+
+    let fullScans = 0;
+    integration.scanRoonLibrary = async () => { fullScans++; };
+    integration.library = [['A', 'One'], ['B', 'Two']];
+    await integration.quickScan();
+
+    assert.equal(fullScans, 1);
+});
+
+// `count` albums named Album 0, Album 1, ... by Artist
+function albums(count, from = 0) {
+    return Array.from({ length: count }, (_, i) => ['Artist', `Album ${from + i}`]);
+}
+
+test('quickScan walks the date-sorted list until 20 known albums in a row', async () => {
+    const integration = fakeIntegration(albums(300));
+    await seed(integration);
+
+    // Three new albums, one of them between known ones, then the rest of the library
+    integration.recent = [['New', 'First'], ['New', 'Second'], ...albums(5), ['New', 'Third'], ...albums(295, 5)];
+    await integration.quickScan();
+
+    assert.deepEqual(integration.processed, ['First', 'Second', 'Third']);
+    assert.equal(integration.lastScanNewCount, 3);
+    // 20 known in a row are reached on the first page
+    assert.deepEqual(integration.loads, [[RECENT_LEVEL, 0]]);
+});
+
+test('quickScan keeps paging while fewer than 20 known albums come in a row', async () => {
+    const integration = fakeIntegration(albums(300));
+    await seed(integration);
+
+    const recent = [];
+    for (let i = 0; i < 10; i++) {
+        recent.push(['New', `Album ${i}`], ...albums(19, i * 19));
+    }
+    integration.recent = [...recent, ...albums(110, 190)];
+    await integration.quickScan();
+
+    assert.equal(integration.processed.length, 10);
+    assert.deepEqual(integration.loads, [[RECENT_LEVEL, 0], [RECENT_LEVEL, 100], [RECENT_LEVEL, 200]]);
+});
+
+test('quickScan counts an album listed twice in the date-sorted list once', async () => {
+    const integration = fakeIntegration(albums(30));
+    await seed(integration);
+
+    integration.recent = [['New', 'Twice'], ['New', 'Twice'], ...albums(30)];
+    await integration.quickScan();
+
+    assert.deepEqual(integration.processed, ['Twice']);
+});
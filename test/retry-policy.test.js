@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FAILURE_CLASSES, ProcessingError, classifyError, recordAttempt, isRetryDue } = require('../lib/retry-policy');
+
+const HOUR = 60 * 60 * 1000;
+
+function hoursUntil(iso) {
+    return Math.round((new Date(iso).getTime() - Date.now()) / HOUR);
+}
+
+test('classifyError uses the error\'s own failure class when it is known', () => {
+    assert.equal(classifyError(new ProcessingError('album_not_found', 'x')), 'album_not_found');
+    assert.equal(classifyError(Object.assign(new Error('x'), { failureClass: 'musicbrainz_error' })), 'musicbrainz_error');
+    assert.equal(classifyError(Object.assign(new Error('x'), { failureClass: 'made_up' })), 'lidarr_error');
+    assert.equal(classifyError(new Error('x')), 'lidarr_error');
+});
+
+test('recordAttempt backs off exponentially up to the class maximum', () => {
+    const entry = {};
+    const delays = [];
+    for (let i = 0; i < 7; i++) {
+        recordAttempt(entry, new ProcessingError('lidarr_unavailable', 'down'));
+        delays.push(hoursUntil(entry.nextRetry));
+    }
+
+    assert.deepEqual(delays, [1, 2, 4, 8, 16, 24, 24]);
+    assert.equal(entry.failureClass, 'lidarr_unavailable');
+    assert.equal(entry.attempts.length, 7);
+    assert.equal(entry.attempts.at(-1).error, 'down');
+});
+
+test('recordAttempt restarts the backoff when the failure class changes', () => {
+    const entry = {};
+    recordAttempt(entry, new ProcessingError('lidarr_unavailable', 'down'));
+    recordAttempt(entry, new ProcessingError('lidarr_unavailable', 'down'));
+    recordAttempt(entry, new ProcessingError('musicbrainz_error', 'rate limited'));
+
+    assert.equal(entry.failureClass, 'musicbrainz_error');
+    assert.equal(hoursUntil(entry.nextRetry), 1);
+});
+
+test('recordAttempt parks the album after maxAttempts failures in a row', () => {
+    const entry = {};
+    const { maxAttempts } = FAILURE_CLASSES.artist_rejected;
+    for (let i = 0; i < maxAttempts; i++) {
+        recordAttempt(entry, new ProcessingError('artist_rejected', 'bad root folder'));
+    }
+
+    assert.equal(entry.needsAttention, true);
+    assert.equal(entry.nextRetry, null);
+    assert.equal(isRetryDue(entry), false);
+});
+
+test('recordAttempt sends low-confidence matches to review straight away', () => {
+    const entry = recordAttempt({}, new ProcessingError('musicbrainz_low_confidence', 'weak'));
+    assert.equal(entry.needsAttention, true);
+});
+
+test('recordAttempt applies the no-match delay override', () => {
+    const entry = recordAttempt({}, new ProcessingError('musicbrainz_no_match', 'none'), { noMatchDelayDays: 2 });
+    assert.equal(hoursUntil(entry.nextRetry), 48);
+});
+
+test('a successful attempt clears the failure state', () => {
+    const entry = {};
+    recordAttempt(entry, new ProcessingError('lidarr_error', 'boom'));
+    recordAttempt(entry, null);
+
+    assert.equal(entry.failureClass, null);
+    assert.equal(entry.nextRetry, null);
+    assert.equal(entry.needsAttention, false);
+    assert.equal(entry.attempts.at(-1).failureClass, null);
+});
+
+test('recordAttempt keeps a bounded history', () => {
+    const entry = {};
+    for (let i = 0; i < 25; i++) {
+        recordAttempt(entry, new ProcessingError('lidarr_unavailable', `attempt ${i}`));
+    }
+    assert.equal(entry.attempts.length, 20);
+    assert.equal(entry.attempts.at(-1).error, 'attempt 24');
+});
+
+test('isRetryDue follows nextRetry, or the legacy flat delay without one', () => {
+    const now = Date.now();
+    assert.equal(isRetryDue({}, now), true);
+    assert.equal(isRetryDue({ nextRetry: new Date(now - 1000).toISOString() }, now), true);
+    assert.equal(isRetryDue({ nextRetry: new Date(now + 1000).toISOString() }, now), false);
+    assert.equal(isRetryDue({ lastRetry: new Date(now - 8 * 24 * HOUR).toISOString() }, now), true);
+    assert.equal(isRetryDue({ lastRetry: new Date(now - 6 * 24 * HOUR).toISOString() }, now), false);
+    assert.equal(isRetryDue({ lastRetry: new Date(now - 2 * 24 * HOUR).toISOString() }, now, { legacyDelayDays: 1 }), true);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RoonLidarrIntegration = require('../index');
+
+const HOUR = 60 * 60 * 1000;
+
+// An integration whose Roon library holds `size` albums. Loading from offset
+// `failFrom` on fails `failures` times with `error`.
+function fakeIntegration(size, { failFrom = Infinity, failures = 0, error = 'Invalid browse key' } = {}) {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.core = {};
+    integration.scanCheckpoint = null;
+    integration.navigations = 0;
+    integration.loads = [];
+    integration.committed = null;
+    integration.openAlbumsList = async () => {
+        integration.navigations++;
+        return { action: 'list', list: { count: size, level: 1 } };
+    };
+    integration.loadBrowseItems = async (level, offset) => {
+        if (offset >= failFrom && failures > 0) {
+            failures--;
+            throw new Error(error);
+        }
+        integration.loads.push(offset);
+        return Array.from({ length: Math.min(100, size - offset) }, (_, i) => ({
+            title: `Album ${offset + i}`,
+            subtitle: 'Artist'
+        }));
+    };
+    integration.saveScanCheckpoint = async checkpoint => { integration.scanCheckpoint = checkpoint; };
+    integration.commitScan = async checkpoint => { integration.committed = checkpoint; };
+    integration.setStatus = () => {};
+    integration.delay = async () => {};
+    return integration;
+}
+
+function savedCheckpoint({ offset, total, hoursAgo = 1 }) {
+    return {
+        startedAt: new Date(Date.now() - hoursAgo * HOUR).toISOString(),
+        offset,
+        total,
+        albums: Array.from({ length: offset }, (_, i) => ({ title: `Album ${i}`, artist: 'Artist', imageKey: null }))
+    };
+}
+
+test('a scan resumes from the checkpoint, re-reading the albums just before it', async () => {
+    const integration = fakeIntegration(250);
+    integration.scanCheckpoint = savedCheckpoint({ offset: 200, total: 250 });
+
+    await integration.scanRoonLibrary();
+
+    assert.deepEqual(integration.loads, [180]);
+    assert.equal(integration.committed.offset, 250);
+    assert.equal(integration.committed.albums.length, 200 + 70);
+    assert.equal(integration.committed.albums.at(-1).title, 'Album 249');
+});
+
+test('a scan starts over when the library changed by more than the overlap', async () => {
+    const integration = fakeIntegration(250);
+    integration.scanCheckpoint = savedCheckpoint({ offset: 200, total: 229 });
+
+    await integration.scanRoonLibrary();
+
+    assert.deepEqual(integration.loads, [0, 100, 200]);
+    assert.equal(integration.committed.albums.length, 250);
+    assert.equal(integration.committed.total, 250);
+});
+
+test('a checkpoint older than a day is discarded', async () => {
+    const integration = fakeIntegration(150);
+    integration.scanCheckpoint = savedCheckpoint({ offset: 100, total: 150, hoursAgo: 25 });
+
+    await integration.scanRoonLibrary();
+
+    assert.deepEqual(integration.loads, [0, 100]);
+    assert.equal(integration.committed.albums.length, 150);
+});
+
+test('an expired browse session is re-navigated and the scan continues where it stopped', async () => {
+    const integration = fakeIntegration(250, { failFrom: 100, failures: 2 });
+
+    await integration.scanRoonLibrary();
+
+    assert.equal(integration.navigations, 3);
+    // Each resume re-reads the overlap before the checkpoint
+    assert.deepEqual(integration.loads, [0, 80, 160]);
+    assert.equal(integration.committed.albums.at(-1).title, 'Album 249');
+});
+
+test('a scan gives up after three re-navigations and keeps its checkpoint', async () => {
+    const integration = fakeIntegration(250, { failFrom: 100, failures: 10, error: 'Load request timeout' });
+
+    await assert.rejects(integration.scanRoonLibrary(), /Load request timeout/);
+
+    assert.equal(integration.navigations, 4);
+    assert.equal(integration.committed, null);
+    assert.deepEqual(integration.loads, [0, 80]);
+    assert.equal(integration.scanCheckpoint.albums.at(-1).title, 'Album 179');
+});
+
+test('other browse errors are not retried', async () => {
+    const integration = fakeIntegration(250, { failFrom: 100, failures: 1, error: 'Roon Core disconnected' });
+
+    await assert.rejects(integration.scanRoonLibrary(), /disconnected/);
+    assert.equal(integration.navigations, 1);
+});
@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Scheduler, parseCron, nextRun } = require('../lib/scheduler');
+
+// Local time, as cron expressions are
+function at(year, month, day, hour = 0, minute = 0) {
+    return new Date(year, month - 1, day, hour, minute);
+}
+
+test('parseCron expands lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-17/4 * * 1-5');
+    assert.deepEqual([...cron.minute.values], [0, 30]);
+    assert.deepEqual([...cron.hour.values], [9, 13, 17]);
+    assert.equal(cron.dayOfMonth.any, true);
+    assert.deepEqual([...cron.dayOfWeek.values], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron treats "start/step" as running to the end of the range', () => {
+    assert.deepEqual([...parseCron('5/20 * * * *').minute.values], [5, 25, 45]);
+});
+
+test('parseCron accepts macros and 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('@daily').hour.values], [0]);
+    assert.equal(parseCron('@daily').expression, '@daily');
+    assert.ok(parseCron('0 0 * * 7').dayOfWeek.values.has(0));
+});
+
+test('parseCron rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute out of range/);
+    assert.throws(() => parseCron('* * * * mon'), /bad dayOfWeek/);
+    assert.throws(() => parseCron('10-5 * * * *'), /out of range/);
+});
+
+test('nextRun returns the first matching minute strictly after the given time', () => {
+    const cron = parseCron('*/15 * * * *');
+    assert.deepEqual(nextRun(cron, at(2024, 3, 10, 10, 0)), at(2024, 3, 10, 10, 15));
+    assert.deepEqual(nextRun(cron, at(2024, 3, 10, 10, 59)), at(2024, 3, 10, 11, 0));
+});
+
+test('nextRun rolls over days, months and years', () => {
+    assert.deepEqual(nextRun(parseCron('30 2 * * *'), at(2024, 3, 10, 3, 0)), at(2024, 3, 11, 2, 30));
+    assert.deepEqual(nextRun(parseCron('0 0 1 * *'), at(2024, 1, 31, 12, 0)), at(2024, 2, 1));
+    assert.deepEqual(nextRun(parseCron('0 0 1 1 *'), at(2024, 6, 1)), at(2025, 1, 1));
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+    // The 15th, or any Monday; 2024-03-11 is a Monday
+    const cron = parseCron('0 0 15 * 1');
+    assert.deepEqual(nextRun(cron, at(2024, 3, 9)), at(2024, 3, 11));
+    assert.deepEqual(nextRun(cron, at(2024, 3, 13)), at(2024, 3, 15));
+});
+
+test('nextRun gives up on dates that never come', () => {
+    assert.equal(nextRun(parseCron('0 0 31 2 *'), at(2024, 1, 1)), null);
+});
+
+test('Scheduler runs jobs one at a time and does not stack manual triggers', async () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+
+    scheduler.addJob('slow', '@daily', async () => {
+        order.push('slow start');
+        await blocked;
+        order.push('slow end');
+    });
+    scheduler.addJob('fast', '@daily', async () => {
+        order.push('fast');
+    });
+
+    const slow = scheduler.trigger('slow');
+    const fast = scheduler.trigger('fast');
+    assert.equal(scheduler.trigger('fast'), fast);
+
+    release();
+    assert.equal(await slow, true);
+    assert.equal(await fast, true);
+    assert.deepEqual(order, ['slow start', 'slow end', 'fast']);
+    assert.throws(() => scheduler.trigger('nope'), /Unknown job/);
+});
+
+test('Scheduler records successful runs and marks jobs that could not run', async () => {
+    const runs = [];
+    const scheduler = new Scheduler({ onRun: async (lastRuns) => runs.push({ ...lastRuns }) });
+    scheduler.addJob('ok', '@daily', async () => true);
+    scheduler.addJob('blocked', '@daily', async () => false);
+
+    assert.equal(await scheduler.trigger('ok'), true);
+    assert.equal(await scheduler.trigger('blocked'), false);
+
+    assert.equal(runs.length, 1);
+    assert.ok(runs[0].ok);
+    assert.equal(scheduler.jobs.get('blocked').missed, true);
+    assert.equal(scheduler.lastRuns.blocked, undefined);
+});
+
+test('Scheduler runs one-off tasks in the job queue and passes their result on', async () => {
+    const scheduler = new Scheduler();
+    const order = [];
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    scheduler.addJob('scan', '@daily', async () => {
+        await blocked;
+        order.push('scan');
+    });
+
+    const scan = scheduler.trigger('scan');
+    const retry = scheduler.exclusive('retry', async () => {
+        order.push('retry');
+        return 'entry';
+    });
+    const failing = scheduler.exclusive('failing', async () => {
+        throw new Error('boom');
+    });
+
+    release();
+    await scan;
+    assert.equal(await retry, 'entry');
+    await assert.rejects(failing, /boom/);
+    assert.deepEqual(order, ['scan', 'retry']);
+
+    // A failed task doesn't block the queue
+    assert.equal(await scheduler.trigger('scan'), true);
+});
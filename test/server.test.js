@@ -0,0 +1,149 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createServer } = require('../lib/server');
+
+const TOKEN = 'secret-token';
+
+// The parts of the integration the routes under test touch
+const integration = {
+    apiToken: TOKEN,
+    corsOrigins: [],
+    webhookPassword: '',
+    core: { display_name: 'Core' },
+    albumCache: new Map([
+        ['known', { artist: 'Artist', title: 'Title' }],
+        ['changed', { artist: 'Artist', title: 'Changed', lidarrChanges: [{ action: 'add_album', albumId: 1 }] }]
+    ]),
+    processing: true,
+    statusMessage: 'Lidarr API key not set',
+    triggered: [],
+    scheduler: { trigger: name => integration.triggered.push(name) },
+    canProcess: () => integration.processing,
+    queueAlbumRetry: async key => integration.triggered.push(`retry ${key}`),
+    queueLidarrUndo: async (key, { remove }) => integration.triggered.push(`undo ${key}${remove ? ' and remove' : ''}`),
+    listAlbums: () => [],
+    handleLidarrEvent: async () => []
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createServer(integration).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function request(path, { method = 'GET', token = null, headers = {}, body } = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            ...headers,
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+test('reading needs no token', async () => {
+    const res = await request('/api/albums');
+    assert.equal(res.status, 200);
+});
+
+test('changes are refused without the right token', async () => {
+    integration.triggered = [];
+    assert.equal((await request('/api/scan', { method: 'POST' })).status, 401);
+    assert.equal((await request('/api/scan', { method: 'POST', token: 'wrong' })).status, 401);
+    assert.equal((await request('/api/albums/key', { method: 'DELETE' })).status, 401);
+    assert.deepEqual(integration.triggered, []);
+});
+
+test('changes go through with the token', async () => {
+    integration.triggered = [];
+    const res = await request('/api/scan?mode=quick', { method: 'POST', token: TOKEN });
+    assert.equal(res.status, 202);
+    assert.deepEqual(integration.triggered, ['scan']);
+});
+
+test('cross-origin requests are not allowed by default', async () => {
+    const res = await request('/api/scan', {
+        method: 'OPTIONS',
+        headers: { 'Origin': 'https://evil.example', 'Access-Control-Request-Method': 'POST' }
+    });
+    assert.equal(res.headers.get('access-control-allow-origin'), null);
+});
+
+function basicAuth(password) {
+    return { 'Authorization': `Basic ${Buffer.from(`lidarr:${password}`).toString('base64')}` };
+}
+
+test('the Lidarr webhook needs the API token as its password when none is set', async () => {
+    const webhook = headers => request('/api/webhooks/lidarr', { method: 'POST', headers, body: { eventType: 'Test' } });
+
+    assert.equal((await webhook({})).status, 401);
+    assert.equal((await webhook(basicAuth('wrong'))).status, 401);
+    assert.equal((await webhook(basicAuth(TOKEN))).status, 200);
+});
+
+test('the Lidarr webhook uses its own password instead of the token when set', async () => {
+    const webhook = headers => request('/api/webhooks/lidarr', { method: 'POST', headers, body: { eventType: 'Test' } });
+
+    integration.webhookPassword = 'hook';
+    try {
+        assert.equal((await webhook({})).status, 401);
+        assert.equal((await webhook(basicAuth(TOKEN))).status, 401);
+        assert.equal((await webhook(basicAuth('hook'))).status, 200);
+    } finally {
+        integration.webhookPassword = '';
+    }
+});
+
+test('a single album retry is queued, not run in the request', async () => {
+    integration.triggered = [];
+    const res = await request('/api/albums/known/retry', { method: 'POST', token: TOKEN });
+    assert.equal(res.status, 202);
+    assert.deepEqual(await res.json(), { queued: true, key: 'known' });
+    assert.deepEqual(integration.triggered, ['retry known']);
+
+    assert.equal((await request('/api/albums/unknown/retry', { method: 'POST', token: TOKEN })).status, 404);
+});
+
+test('a single album retry is refused while processing is blocked', async () => {
+    integration.triggered = [];
+    integration.processing = false;
+    try {
+        const res = await request('/api/albums/known/retry', { method: 'POST', token: TOKEN });
+        assert.equal(res.status, 409);
+        assert.equal((await res.json()).error, 'Lidarr API key not set');
+        assert.deepEqual(integration.triggered, []);
+    } finally {
+        integration.processing = true;
+    }
+});
+
+test('undo is queued for albums with recorded Lidarr changes', async () => {
+    integration.triggered = [];
+    const res = await request('/api/albums/changed/undo?remove=1', { method: 'POST', token: TOKEN });
+    assert.equal(res.status, 202);
+    assert.deepEqual(integration.triggered, ['undo changed and remove']);
+
+    assert.equal((await request('/api/albums/changed/undo', { method: 'POST' })).status, 401);
+    assert.equal((await request('/api/albums/unknown/undo', { method: 'POST', token: TOKEN })).status, 404);
+    const nothing = await request('/api/albums/known/undo', { method: 'POST', token: TOKEN });
+    assert.equal(nothing.status, 409);
+    assert.match((await nothing.json()).error, /No Lidarr changes/);
+});
+
+test('undo is refused while processing is blocked', async () => {
+    integration.triggered = [];
+    integration.processing = false;
+    try {
+        assert.equal((await request('/api/albums/changed/undo', { method: 'POST', token: TOKEN })).status, 409);
+        assert.deepEqual(integration.triggered, []);
+    } finally {
+        integration.processing = true;
+    }
+});
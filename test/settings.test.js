@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, normalizeSettings, makeLayout } = require('../lib/settings');
+
+const VALID = normalizeSettings({ lidarrUrl: 'http://lidarr:8686', lidarrApiKey: 'key' });
+
+// Every item of the layout by setting (labels by title)
+function items(layout) {
+    return Object.fromEntries(layout.layout.flatMap(group => group.items).map(item => [item.setting || item.title, item]));
+}
+
+test('normalizeSettings cleans up what Roon hands back', () => {
+    const settings = normalizeSettings({
+        lidarrUrl: ' http://lidarr:8686/// ',
+        lidarrApiKey: ' key ',
+        qualityProfileId: '3',
+        metadataProfileId: 'abc',
+        albumOnly: 'true',
+        scanSchedule: '  */15   *  * * * ',
+        retryDelayDays: '14',
+        matchAcceptConfidence: '90',
+        matchReviewConfidence: '0'
+    });
+
+    assert.equal(settings.lidarrUrl, 'http://lidarr:8686');
+    assert.equal(settings.lidarrApiKey, 'key');
+    assert.equal(settings.qualityProfileId, 3);
+    assert.equal(settings.metadataProfileId, DEFAULT_SETTINGS.metadataProfileId);
+    assert.equal(settings.albumOnly, true);
+    assert.equal(settings.scanSchedule, '*/15 * * * *');
+    assert.equal(settings.retryDelayDays, 14);
+    assert.equal(settings.matchAcceptConfidence, 90);
+    assert.equal(settings.matchReviewConfidence, 0);
+});
+
+test('normalizeSettings falls back to the defaults for unknown or missing choices', () => {
+    const settings = normalizeSettings({ addMonitor: 'everything', compilationMode: 'merge', fullScanSchedule: '', albumOnly: 'yes' });
+
+    assert.equal(settings.addMonitor, 'none');
+    assert.equal(settings.compilationMode, 'skip');
+    assert.equal(settings.fullScanSchedule, DEFAULT_SETTINGS.fullScanSchedule);
+    assert.equal(settings.albumOnly, false);
+});
+
+test('makeLayout accepts valid settings and shows the Lidarr version', () => {
+    const layout = makeLayout(VALID, { status: { version: '2.5.0' } });
+
+    assert.equal(layout.has_error, false);
+    assert.equal(layout.values, VALID);
+    assert.ok(items(layout)['Connected to Lidarr 2.5.0']);
+    assert.equal(items(layout).qualityProfileId.type, 'integer');
+});
+
+test('makeLayout flags the URL, the API key and connection errors', () => {
+    let layout = makeLayout({ ...VALID, lidarrUrl: 'lidarr:8686', lidarrApiKey: '' });
+    assert.equal(layout.has_error, true);
+    assert.match(items(layout).lidarrUrl.error, /http:\/\//);
+    assert.match(items(layout).lidarrApiKey.error, /required/);
+
+    layout = makeLayout(VALID, { error: 'connect ECONNREFUSED' });
+    assert.equal(layout.has_error, true);
+    assert.equal(items(layout).lidarrApiKey.error, 'Could not connect to Lidarr: connect ECONNREFUSED');
+});
+
+test('makeLayout offers what Lidarr has and requires one of them', () => {
+    const layout = makeLayout({ ...VALID, rootFolderPath: '/gone', qualityProfileId: 2 }, {
+        status: { version: '2.5.0' },
+        rootFolders: [{ path: '/music' }],
+        qualityProfiles: [{ id: 2, name: 'Lossless' }],
+        metadataProfiles: []
+    });
+    const { rootFolderPath, qualityProfileId, metadataProfileId } = items(layout);
+
+    assert.equal(layout.has_error, true);
+    assert.deepEqual(rootFolderPath.values, [{ title: '/music', value: '/music' }]);
+    assert.equal(rootFolderPath.error, 'Select a root folder');
+    assert.equal(qualityProfileId.error, undefined);
+    assert.equal(metadataProfileId.error, 'No metadata profiles found in Lidarr');
+});
+
+test('makeLayout checks schedules, ranges and the confidence thresholds', () => {
+    const layout = makeLayout({
+        ...VALID,
+        scanSchedule: 'every hour',
+        researchHours: 0,
+        matchAcceptConfidence: 60,
+        matchReviewConfidence: 70
+    });
+    const { scanSchedule, fullScanSchedule, researchHours, matchAcceptConfidence, matchReviewConfidence } = items(layout);
+
+    assert.equal(layout.has_error, true);
+    assert.ok(scanSchedule.error);
+    assert.equal(fullScanSchedule.error, undefined);
+    assert.equal(researchHours.error, 'Must be between 1 and 720');
+    assert.equal(matchAcceptConfidence.error, undefined);
+    assert.match(matchReviewConfidence.error, /not be higher/);
+});
@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { sendMail } = require('../lib/smtp');
+
+// A plaintext SMTP server that doesn't offer STARTTLS, as after a downgrade attack
+let server;
+let port;
+let received;
+
+before(async () => {
+    server = net.createServer(socket => {
+        const write = line => socket.write(`${line}\r\n`);
+        let data = false;
+        let buffer = '';
+        write('220 fake ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                received.push(line);
+                if (data) {
+                    if (line === '.') {
+                        data = false;
+                        write('250 queued');
+                    }
+                } else if (line.startsWith('EHLO')) {
+                    write('250-fake');
+                    write('250 AUTH PLAIN');
+                } else if (line.startsWith('AUTH')) {
+                    write('235 ok');
+                } else if (line === 'DATA') {
+                    data = true;
+                    write('354 go ahead');
+                } else if (line === 'QUIT') {
+                    write('221 bye');
+                    socket.end();
+                } else {
+                    write('250 ok');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const message = { from: 'roon2lidarr <me@example.com>', to: 'you@example.com', subject: 'Digest', text: 'Hello' };
+
+test('sendMail refuses to send credentials without TLS', async () => {
+    received = [];
+    await assert.rejects(
+        sendMail({ host: '127.0.0.1', port, username: 'me', password: 'secret', ...message }),
+        /does not offer STARTTLS; not sending credentials unencrypted/
+    );
+    assert.ok(!received.some(line => line.startsWith('AUTH')));
+    assert.ok(!received.includes('DATA'));
+});
+
+test('sendMail sends unauthenticated mail over a plain connection', async () => {
+    received = [];
+    await sendMail({ host: '127.0.0.1', port, ...message });
+    assert.ok(received.includes('MAIL FROM:<me@example.com>'));
+    assert.ok(received.includes('RCPT TO:<you@example.com>'));
+    assert.ok(received.includes('.'));
+});
+
+test('sendMail only authenticates in the clear when requireTLS is off', async () => {
+    received = [];
+    await sendMail({ host: '127.0.0.1', port, username: 'me', password: 'secret', requireTLS: false, ...message });
+    assert.ok(received.includes(`AUTH PLAIN ${Buffer.from('\0me\0secret').toString('base64')}`));
+});
@@ -0,0 +1,138 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createStorage, JsonStorage, SqliteStorage, ReadOnlyStorage } = require('../lib/storage');
+
+// better-sqlite3 is an optional dependency
+let hasSqlite = true;
+try {
+    require('better-sqlite3');
+} catch (error) {
+    hasSqlite = false;
+}
+
+let dir;
+let file;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'roon2lidarr-storage-'));
+    file = path.join(dir, 'album_cache.json');
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function readJson(name) {
+    return JSON.parse(await fs.readFile(name, 'utf8'));
+}
+
+test('JsonStorage writes through a temp file and leaves none behind', async () => {
+    const storage = new JsonStorage(file);
+    await storage.saveAll({ version: 2, albums: [['a', { title: 'A' }]] });
+    await storage.saveAlbum('b', { title: 'B' });
+    await storage.saveMeta({ lastFullScan: 'yesterday' });
+    await storage.close();
+
+    assert.deepEqual(await readJson(file), {
+        version: 2,
+        lastFullScan: 'yesterday',
+        albums: [['a', { title: 'A' }], ['b', { title: 'B' }]]
+    });
+    assert.deepEqual(await fs.readdir(dir), ['album_cache.json']);
+});
+
+test('JsonStorage coalesces overlapping writes and keeps the last state', async () => {
+    const storage = new JsonStorage(file);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => storage.saveAlbum(`k${i}`, { i })));
+    await storage.deleteAlbum('k0');
+    await storage.close();
+
+    const { albums } = await readJson(file);
+    assert.equal(albums.length, 9);
+    assert.equal(albums[0][0], 'k1');
+});
+
+test('JsonStorage rotates a backup on every full save only', async () => {
+    const storage = new JsonStorage(file, { backups: 2 });
+    await storage.saveAll({ version: 2, albums: [], run: 1 });
+    await storage.saveAll({ version: 2, albums: [], run: 2 });
+    await storage.saveMeta({ note: 'no rotation' });
+    await storage.saveAll({ version: 2, albums: [], run: 3 });
+    await storage.saveAll({ version: 2, albums: [], run: 4 });
+
+    assert.equal((await readJson(file)).run, 4);
+    assert.equal((await readJson(`${file}.1`)).run, 3);
+    assert.equal((await readJson(`${file}.2`)).run, 2);
+    assert.equal((await readJson(`${file}.2`)).note, 'no rotation');
+    await assert.rejects(fs.access(`${file}.3`));
+});
+
+test('JsonStorage load recovers from the newest readable backup', async () => {
+    await fs.writeFile(file, '{"albums": [');
+    await fs.writeFile(`${file}.1`, 'also broken');
+    await fs.writeFile(`${file}.2`, JSON.stringify({ version: 2, albums: [['a', { title: 'A' }]] }));
+
+    const storage = new JsonStorage(file, { backups: 3 });
+    const data = await storage.load();
+    assert.deepEqual(data.albums, [['a', { title: 'A' }]]);
+    assert.equal(storage.albums.get('a').title, 'A');
+});
+
+test('JsonStorage load refuses a corrupt cache without a usable backup', async () => {
+    await fs.writeFile(file, 'not json');
+    await assert.rejects(new JsonStorage(file).load(), /corrupt and no usable backup/);
+});
+
+test('JsonStorage load returns null when there is no cache yet', async () => {
+    assert.equal(await new JsonStorage(file).load(), null);
+});
+
+test('read-only storage loads but never writes', async () => {
+    await fs.writeFile(file, JSON.stringify({ version: 2, albums: [['a', {}]] }));
+    const storage = createStorage({ backend: 'json', file, readOnly: true });
+    assert.ok(storage instanceof ReadOnlyStorage);
+
+    assert.equal((await storage.load()).albums.length, 1);
+    await storage.saveAll({ version: 2, albums: [] });
+    await storage.saveAlbum('b', {});
+    await storage.close();
+
+    assert.equal((await readJson(file)).albums.length, 1);
+    assert.deepEqual(await fs.readdir(dir), ['album_cache.json']);
+});
+
+test('createStorage rejects unknown backends', () => {
+    assert.throws(() => createStorage({ backend: 'redis', file }), /Unknown cache backend/);
+});
+
+test('a read-only SQLite cache is neither created nor imported into', { skip: !hasSqlite }, async () => {
+    const db = path.join(dir, 'album_cache.db');
+    await fs.writeFile(file, JSON.stringify({ version: 2, albums: [['a', { title: 'A' }]] }));
+
+    const storage = createStorage({ backend: 'sqlite', file: db, jsonFile: file, readOnly: true });
+    assert.equal((await storage.load()).albums.length, 1);
+    await storage.saveAll({ version: 2, albums: [] });
+    await storage.close();
+
+    assert.deepEqual(await fs.readdir(dir), ['album_cache.json']);
+});
+
+test('a read-only SQLite cache skips the JSON import and leaves the database alone', { skip: !hasSqlite }, async () => {
+    const db = path.join(dir, 'album_cache.db');
+    await new SqliteStorage(db).close();
+    const before = await fs.readFile(db);
+    await fs.writeFile(file, JSON.stringify({ version: 2, albums: [['a', { title: 'A' }]] }));
+
+    const storage = createStorage({ backend: 'sqlite', file: db, jsonFile: file, readOnly: true });
+    assert.equal((await storage.load()).albums.length, 1);
+    await storage.saveAlbum('b', {});
+    await storage.close();
+
+    assert.deepEqual(await fs.readFile(db), before);
+    const reopened = new SqliteStorage(db);
+    assert.equal(await reopened.load(), null);
+    await reopened.close();
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RoonLidarrIntegration = require('../index');
+const { createAlbumEntry } = require('../lib/album-cache');
+
+const ARTIST_MBID = '11111111-1111-1111-1111-111111111111';
+
+function sentToLidarr(title, changes = []) {
+    const entry = createAlbumEntry({ artist: 'Artist', title });
+    entry.identity.artistId = ARTIST_MBID;
+    entry.lidarrProcessed = true;
+    entry.lidarrChanges = changes;
+    return entry;
+}
+
+function fakeIntegration(albums) {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.albumCache = new Map(Object.entries(albums));
+    integration.dryRun = false;
+    integration.lidarrCalls = [];
+    integration.setAlbumMonitoring = async (id, monitored) => integration.lidarrCalls.push(['album', id, monitored]);
+    integration.setArtistMonitoring = async (id, options) => integration.lidarrCalls.push(['artist', id, options]);
+    integration.deleteLidarrItem = async (type, id) => integration.lidarrCalls.push(['delete', type, id]);
+    integration.saveAlbum = async () => {};
+    return integration;
+}
+
+const firstChanges = () => [
+    { action: 'add_artist', artistId: 7, foreignArtistId: ARTIST_MBID, artistName: 'Artist' },
+    { action: 'add_album', albumId: 70, foreignAlbumId: 'rg-1' }
+];
+
+test('undo keeps an artist that other albums were sent to Lidarr under', async () => {
+    const integration = fakeIntegration({
+        first: sentToLidarr('First', firstChanges()),
+        second: sentToLidarr('Second', [{ action: 'add_album', albumId: 71, foreignAlbumId: 'rg-2' }])
+    });
+
+    const entry = await integration.undoLidarrChanges('first', { remove: true });
+
+    assert.deepEqual(integration.lidarrCalls, [['delete', 'album', 70]]);
+    assert.deepEqual(entry.lidarrChanges.map(change => change.action), ['add_artist']);
+    assert.equal(entry.override.ignore, true);
+});
+
+test('undo removes the artist once no other album needs it', async () => {
+    const ignored = sentToLidarr('Ignored');
+    ignored.override = { ignore: true };
+    const integration = fakeIntegration({
+        first: sentToLidarr('First', firstChanges()),
+        ignored,
+        pending: Object.assign(sentToLidarr('Pending'), { lidarrProcessed: false })
+    });
+
+    const entry = await integration.undoLidarrChanges('first');
+
+    assert.deepEqual(integration.lidarrCalls, [['album', 70, false], ['artist', 7, { monitored: false }]]);
+    assert.deepEqual(entry.lidarrChanges, []);
+});
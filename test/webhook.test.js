@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const RoonLidarrIntegration = require('../index');
+const { createAlbumEntry } = require('../lib/album-cache');
+const { startTracking } = require('../lib/download-tracker');
+
+function trackedAlbum(title, releaseGroupId, status = 'searching') {
+    const entry = createAlbumEntry({ artist: 'Artist', title });
+    entry.identity.releaseGroupId = releaseGroupId;
+    entry.lidarrProcessed = true;
+    startTracking(entry, { albumId: 1, commandId: 2 });
+    entry.download.status = status;
+    return entry;
+}
+
+function fakeIntegration(albums) {
+    const integration = Object.create(RoonLidarrIntegration.prototype);
+    integration.albumCache = new Map(Object.entries(albums));
+    integration.saved = [];
+    integration.saveAlbum = async key => integration.saved.push(key);
+    return integration;
+}
+
+test('a grab marks the album it names by release group as grabbed and remembers the download', async () => {
+    const integration = fakeIntegration({ one: trackedAlbum('One', 'rg-1'), two: trackedAlbum('Two', 'rg-2') });
+
+    const updated = await integration.handleLidarrEvent({
+        eventType: 'Grab',
+        albums: [{ foreignAlbumId: 'rg-1' }],
+        downloadId: 'dl-1',
+        release: { releaseTitle: 'Artist - One (FLAC)' }
+    });
+
+    assert.deepEqual(updated, ['one']);
+    assert.deepEqual(integration.saved, ['one']);
+    const { download } = integration.albumCache.get('one');
+    assert.equal(download.status, 'grabbed');
+    assert.equal(download.downloadId, 'dl-1');
+    assert.equal(download.releaseTitle, 'Artist - One (FLAC)');
+    assert.equal(integration.albumCache.get('two').download.status, 'searching');
+});
+
+test('a download failure is matched by the download ID from the grab', async () => {
+    const entry = trackedAlbum('One', 'rg-1', 'grabbed');
+    entry.download.downloadId = 'dl-1';
+    const integration = fakeIntegration({ one: entry, two: trackedAlbum('Two', 'rg-2') });
+
+    const updated = await integration.handleLidarrEvent({ eventType: 'DownloadFailure', downloadId: 'dl-1', message: 'Unpack failed' });
+
+    assert.deepEqual(updated, ['one']);
+    assert.equal(entry.download.status, 'failed');
+    assert.equal(entry.download.error, 'Unpack failed');
+});
+
+test('an import marks the album imported', async () => {
+    const integration = fakeIntegration({ one: trackedAlbum('One', 'rg-1', 'grabbed') });
+
+    await integration.handleLidarrEvent({ eventType: 'AlbumDownload', album: { foreignAlbumId: 'rg-1' } });
+
+    const { download } = integration.albumCache.get('one');
+    assert.equal(download.status, 'imported');
+    assert.ok(download.importedAt);
+    assert.equal(download.error, null);
+});
+
+test('events for untracked albums, unknown albums or of unknown types change nothing', async () => {
+    const integration = fakeIntegration({ imported: trackedAlbum('Imported', 'rg-1', 'imported') });
+
+    assert.deepEqual(await integration.handleLidarrEvent({ eventType: 'ImportFailure', albums: [{ foreignAlbumId: 'rg-1' }] }), []);
+    assert.deepEqual(await integration.handleLidarrEvent({ eventType: 'Grab', albums: [{ foreignAlbumId: 'rg-9' }] }), []);
+    assert.deepEqual(await integration.handleLidarrEvent({ eventType: 'Rename', albums: [{ foreignAlbumId: 'rg-1' }] }), []);
+    assert.equal(integration.albumCache.get('imported').download.status, 'imported');
+    assert.deepEqual(integration.saved, []);
+});